@@ -4,18 +4,27 @@
  * @module index
  */
 
-import { get, isFunction, invoke } from 'lodash';
-import { signals, errors } from '@paychex/core';
+import { get, has, find, omit, pull, isFunction, isObject, isString, isNumber, invoke, snakeCase } from 'lodash';
+import { signals, errors, events } from '@paychex/core';
 
+import type { Store } from '@paychex/core/types/stores';
+import type { EventBus } from '@paychex/core/types/events';
 import type { DataDefinition } from '@paychex/core/types/data';
 import type { TrackingInfo, TrackingSubscriber } from '@paychex/core/types/trackers';
 
-export type { DataDefinition, TrackingSubscriber, TrackingInfo };
+export type { DataDefinition, EventBus, Store, TrackingSubscriber, TrackingInfo };
 
 /**
  * Function to call when a batch is ready to send to Google Analytics. Will
- * be invoked with the batch payload (a string where each line is a form URL-encoded GA hit) as well
- * as the DataDefinition you should pass to the `@paychex/core` `createRequest` method.
+ * be invoked with the batch payload as well as the DataDefinition you should pass to the
+ * `@paychex/core` `createRequest` method. The payload depends on the protocol:
+ *
+ * - `'universal'`: a string where each line is a form URL-encoded GA hit, posted to `batch`
+ * - `'measurement'`: a JSON string of the form `{ client_id, user_id, events }`, posted to
+ * `mp/collect`
+ *
+ * When using the `'remote'` validator in debug mode, the function should resolve with the
+ * response (or the response body) returned by GA's validation endpoint.
  *
  * @example
  * ```js
@@ -27,24 +36,523 @@ export type { DataDefinition, TrackingSubscriber, TrackingInfo };
  *   await fetch(createRequest(operation, null, payload));
  * }
  *
- * const collector = googleAnalytics(send, ga);
+ * const collector = googleAnalytics(send);
  * export const tracker = trackers.create(collector);
  * ```
  */
 export interface SendFunction {
-    (payload: string, operation: DataDefinition): void|Promise<void>
+    (payload: string, operation: DataDefinition): void|Promise<any>
+}
+
+/**
+ * The reason one or more hits were dropped by the collector:
+ *
+ * - `'overflow'`: the queue reached its maximum length
+ * - `'expired'`: the hit exceeded GA's queue time limit
+ * - `'max-attempts'`: the hit could not be sent within the maximum number of attempts
+ * - `'permanent'`: the send failed with an error that cannot be retried (e.g. a 4xx status)
+ * - `'consent'`: the item was collected before analytics consent was granted
+ * - `'invalid'`: the hit exceeded GA's maximum hit size
+ * - `'unmapped'`: no mapper could convert the item into a hit
+ * - `'rate-limited'`: the item was collected while the rate limit was exceeded
+ */
+export type DropReason = 'overflow' | 'expired' | 'max-attempts' | 'permanent' | 'consent' | 'invalid' | 'unmapped' | 'rate-limited';
+
+/**
+ * Determines which hits are dropped when the queue reaches its maximum length:
+ *
+ * - `'drop-oldest'`: the oldest queued hit is dropped to make room for the new hit
+ * - `'drop-newest'`: the most recently queued hit is dropped to make room for the new hit
+ * - `'reject'`: the new hit is dropped and the queue is left unchanged
+ */
+export type OverflowPolicy = 'drop-oldest' | 'drop-newest' | 'reject';
+
+/**
+ * Invoked when hits are dropped by the collector.
+ *
+ * @param hits The dropped hits (form URL-encoded strings for the `'universal'` protocol,
+ * event objects for the `'measurement'` protocol). For the `'consent'`, `'unmapped'` and
+ * `'rate-limited'` reasons, the dropped {@link TrackingInfo} items are provided instead.
+ * @param reason The reason the hits were dropped.
+ */
+export interface DropFunction {
+    (hits: any[], reason: DropReason): void
+}
+
+/**
+ * Controls how failed batches are retried.
+ *
+ * @example
+ * ```js
+ * const collector = googleAnalytics(send, {
+ *   retry: {
+ *     maxAttempts: 3,
+ *     baseDelay: 2000,
+ *     isRetryable: (e) => e.status !== 400,
+ *   },
+ * });
+ * ```
+ */
+export interface RetryOptions {
+
+    /** The maximum number of times to attempt sending a hit before it is dropped. Default is 5. */
+    maxAttempts?: number
+
+    /** The number of milliseconds to wait before the first retry; doubled on each subsequent attempt. Default is 1000. */
+    baseDelay?: number
+
+    /** The maximum number of milliseconds to wait between retries. Default is 60000. */
+    maxDelay?: number
+
+    /**
+     * Determines whether a failed batch should be retried. By default, network errors (no status),
+     * 408, 429 and 5xx statuses are retried; all other errors drop the batch.
+     */
+    isRetryable?: (error: any) => boolean
+
+}
+
+/**
+ * Determines how {@link TrackingInfo} items are handled until analytics consent is granted.
+ *
+ * @example
+ * ```js
+ * const collector = googleAnalytics(send, {
+ *   consent: { granted: false, pending: 'hold' },
+ * });
+ *
+ * // later, once the user responds:
+ * collector.setConsent(true); // sends held items
+ * collector.setConsent(false); // purges held items
+ * ```
+ */
+export interface ConsentOptions {
+
+    /** Whether consent has already been granted. Default is `false`. */
+    granted?: boolean
+
+    /**
+     * What to do with items collected before consent is granted:
+     *
+     * - `'hold'` (default): keep items in memory until `setConsent` is called
+     * - `'drop'`: drop items immediately
+     */
+    pending?: 'hold' | 'drop'
+
+}
+
+/** A custom rule used to remove personally identifiable information from hits. */
+export interface ScrubRule {
+
+    /** The name of the rule, reported when the rule redacts a field. */
+    name: string
+
+    /** The pattern to replace. All matches will be replaced. */
+    pattern: RegExp
+
+    /** The value to use in place of the matched text. Default is `'[REDACTED]'`. */
+    replacement?: string
+
+}
+
+/** Describes a field that was redacted while removing personally identifiable information. */
+export interface Redaction {
+
+    /**
+     * The path of the redacted field (e.g. `'label'` or `'data.dimension1'`), or the name of
+     * the redacted hit parameter (e.g. `'dl'`).
+     */
+    field: string
+
+    /** The name of the rule that redacted the field. */
+    rule: string
+
+}
+
+/**
+ * Options used to remove personally identifiable information from {@link TrackingInfo}
+ * labels and data values (including dimension values and page URLs) before they are
+ * converted into hits. For the `'universal'` protocol, the rules are also applied to the
+ * parameters analytics.js adds to each hit (such as the page location, path and title).
+ *
+ * @example
+ * ```js
+ * const collector = googleAnalytics(send, {
+ *   scrub: {
+ *     rules: [{ name: 'account', pattern: /\bACCT-\d+\b/g }],
+ *     onRedact(redactions, entry) {
+ *       console.warn('redacted', redactions);
+ *     },
+ *   },
+ * });
+ * ```
+ */
+export interface ScrubOptions {
+
+    /** The built-in detectors to use. Default is `['email', 'ssn', 'phone']`. */
+    detectors?: Array<'email' | 'ssn' | 'phone'>
+
+    /** Custom rules to apply after the built-in detectors. */
+    rules?: ScrubRule[]
+
+    /**
+     * Invoked with the redacted fields whenever an item is scrubbed. The second argument is
+     * the scrubbed {@link TrackingInfo}, or the scrubbed hit payload if the redacted fields
+     * were hit parameters.
+     */
+    onRedact?: (redactions: Redaction[], entry: TrackingInfo | string) => void
+
+}
+
+/** Describes a problem found while validating a hit. */
+export interface ValidationMessage {
+
+    /** The type or code of the message (e.g. `'ERROR'` or `'VALUE_INVALID'`). */
+    type: string
+
+    /** A description of the problem. */
+    description: string
+
+    /** The parameter or field path that caused the problem, if known. */
+    parameter?: string
+
+}
+
+/** Describes a hit that failed validation. */
+export interface InvalidHit {
+
+    /** The invalid hit (a form URL-encoded string or a GA4 event object). */
+    hit: any
+
+    /** The {@link TrackingInfo} item the hit was created from, if known. */
+    entry?: TrackingInfo
+
+    /** The problems found while validating the hit. */
+    messages: ValidationMessage[]
+
+}
+
+/**
+ * Options used to validate hits while debugging.
+ *
+ * @example
+ * ```js
+ * const collector = googleAnalytics(send, {
+ *   debug: {
+ *     validator: 'local',
+ *     onInvalidHit({ hit, entry, messages }) {
+ *       console.error('invalid hit', entry, messages);
+ *     },
+ *   },
+ * });
+ * ```
+ */
+export interface DebugOptions {
+
+    /**
+     * How hits are validated:
+     *
+     * - `'remote'` (default): hits are sent to GA's validation endpoint (`/debug/collect` or
+     * `/debug/mp/collect`) instead of being collected; your {@link SendFunction} should resolve
+     * with the validation response
+     * - `'local'`: hits are checked for required fields and length limits before being sent normally
+     */
+    validator?: 'remote' | 'local'
+
+    /** Invoked for each hit that fails validation. */
+    onInvalidHit?: (invalid: InvalidHit) => void
+
+}
+
+/**
+ * Controls how quickly {@link TrackingInfo} items are converted into hits. The collector uses
+ * a token bucket: each item consumes one token, and tokens are refilled at a fixed rate.
+ *
+ * @example
+ * ```js
+ * const collector = googleAnalytics(send, {
+ *   rateLimit: {
+ *     size: 10,
+ *     refill: 1,
+ *     interval: 500,
+ *     overflow: 'coalesce',
+ *     window: 2000,
+ *   },
+ * });
+ * ```
+ */
+export interface RateLimitOptions {
+
+    /** The maximum number of tokens in the bucket. Default is 20. */
+    size?: number
+
+    /** The number of tokens added to the bucket each interval. Default is 2. */
+    refill?: number
+
+    /** The number of milliseconds between refills. Default is 1000. */
+    interval?: number
+
+    /**
+     * What to do with items collected when the bucket is empty:
+     *
+     * - `'delay'` (default): try again after the refill interval
+     * - `'drop'`: drop the item
+     * - `'coalesce'`: merge identical events (events that map to the same hit, ignoring their
+     * values) collected within the coalesce window into a single hit whose value is the sum of
+     * the merged values; other items are delayed
+     */
+    overflow?: 'delay' | 'drop' | 'coalesce'
+
+    /** The number of milliseconds to coalesce identical events. Default is the refill interval. */
+    window?: number
+
+}
+
+/**
+ * A snapshot of the collector's activity, returned by {@link GoogleTrackingSubscriber.stats}.
+ * All values except `queued` and `held` are running totals since the collector was created.
+ */
+export interface CollectorStats {
+
+    /** The number of hits currently waiting to be sent. */
+    queued: number
+
+    /** The number of items currently held until analytics consent is granted. */
+    held: number
+
+    /** The number of hits sent successfully. */
+    sent: number
+
+    /** The number of batches sent successfully. */
+    batches: number
+
+    /** The number of hits re-queued after a batch failed to send. */
+    retried: number
+
+    /**
+     * The number of items delayed because of rate limiting, including events coalesced while
+     * delayed. Each item is counted once, no matter how long it is delayed. Items dropped
+     * because of rate limiting are counted in `dropped` instead.
+     */
+    throttled: number
+
+    /** The number of bytes sent successfully. */
+    bytesSent: number
+
+    /** The number of hits dropped, by reason. */
+    dropped: Record<DropReason, number>
+
+}
+
+/**
+ * The protocol used to send hits to Google Analytics:
+ *
+ * - `'universal'`: hits are created by the global `ga` object and sent as a
+ * form URL-encoded batch
+ * - `'measurement'`: {@link TrackingInfo} items are converted into GA4 Measurement Protocol
+ * events and sent as JSON; the global `ga` object is not used
+ */
+export type ProtocolType = 'universal' | 'measurement';
+
+/**
+ * Options used to configure the Google Analytics collector.
+ *
+ * @example
+ * ```js
+ * // GA4 Measurement Protocol (no global `ga` required)
+ * const collector = googleAnalytics(send, {
+ *   protocol: 'measurement',
+ *   measurementId: 'G-XXXXXXXXXX',
+ *   apiSecret: 'my-api-secret',
+ *   clientId: () => getClientId(),
+ *   userId: () => user.id,
+ * });
+ * ```
+ */
+export interface GoogleAnalyticsOptions {
+
+    /** The protocol used to send hits to Google Analytics. Default is `'universal'`. */
+    protocol?: ProtocolType
+
+    /** The GA4 measurement id (e.g. `'G-XXXXXXXXXX'`). Required when using the `'measurement'` protocol. */
+    measurementId?: string
+
+    /** The GA4 Measurement Protocol API secret. Required when using the `'measurement'` protocol. */
+    apiSecret?: string
+
+    /**
+     * The client id to associate with each event, or a function returning the client id.
+     * If not provided, a random client id will be generated for the lifetime of the collector.
+     */
+    clientId?: string | (() => string)
+
+    /** The user id to associate with each event, or a function returning the user id. */
+    userId?: string | (() => string)
+
+    /**
+     * Optional {@link Store} used to persist queued hits, so they can be sent even if the page
+     * is reloaded or closed before a batch could be sent. Any hits found in the store will be
+     * restored when the collector is created. Hits older than GA's queue time limit (4 hours
+     * for the `'universal'` protocol, 72 hours for the `'measurement'` protocol) are dropped.
+     *
+     * When a store is provided, each `'universal'` hit will have its `qt` (queue time) parameter
+     * calculated at the time it is sent. GA's size limits are enforced with room for the `qt`
+     * parameter, so hits that would exceed 8kb once it is added are dropped.
+     *
+     * The collector replaces the entire contents of the store whenever its queue changes, so
+     * the store must not be shared between collectors or browser tabs; otherwise, hits may be
+     * sent more than once or lost. Use a store scoped to a single tab, such as a session store.
+     *
+     * @example
+     * ```js
+     * import { stores } from '@paychex/core';
+     *
+     * const store = stores.utils.withPrefix(stores.sessionStore(), 'ga');
+     * const collector = googleAnalytics(send, { store });
+     * ```
+     */
+    store?: Store
+
+    /** Controls how failed batches are retried. */
+    retry?: RetryOptions
+
+    /** The maximum number of hits to keep in the queue. Default is unlimited. */
+    maxQueueLength?: number
+
+    /** Determines which hits are dropped when the queue is full. Default is `'drop-oldest'`. */
+    overflow?: OverflowPolicy
+
+    /** Invoked when hits are dropped by the collector. */
+    onDrop?: DropFunction
+
+    /**
+     * The {@link MapperRegistry} used to convert {@link TrackingInfo} items into hits. If not
+     * provided, a registry containing only the built-in mappers will be used.
+     */
+    mappers?: MapperRegistry
+
+    /**
+     * Maps {@link TrackingInfo} data keys to GA custom dimensions, so call sites do not need
+     * to use GA's `dimensionN` names.
+     *
+     * @example
+     * ```js
+     * const collector = googleAnalytics(send, {
+     *   dimensions: { tenantId: 'dimension3' },
+     * });
+     *
+     * tracker.event('login', { tenantId: 'abc' }); // sends dimension3=abc
+     * ```
+     */
+    dimensions?: Record<string, string>
+
+    /**
+     * Maps {@link TrackingInfo} data keys to GA custom metrics, so call sites do not need
+     * to use GA's `metricN` names.
+     *
+     * @example
+     * ```js
+     * const collector = googleAnalytics(send, {
+     *   metrics: { itemCount: 'metric1' },
+     * });
+     * ```
+     */
+    metrics?: Record<string, string>
+
+    /**
+     * Sends any pending hits when the page is hidden or unloaded (on `pagehide`, or when
+     * `visibilitychange` indicates the page is hidden):
+     *
+     * - `'beacon'`: batches are sent using `navigator.sendBeacon`
+     * - `'keepalive'`: batches are passed to your {@link SendFunction} with a
+     * {@link DataDefinition} whose `keepalive` property is `true`, so the request can
+     * outlive the page
+     *
+     * By default, pending hits are not sent when the page is unloaded.
+     */
+    unload?: 'beacon' | 'keepalive'
+
+    /**
+     * Holds or drops {@link TrackingInfo} items until analytics consent is granted. If not
+     * provided, consent is assumed.
+     */
+    consent?: ConsentOptions
+
+    /**
+     * Removes personally identifiable information (such as email addresses, social security
+     * numbers and phone numbers) from labels and data values before they are sent. Specify
+     * `true` to use the built-in detectors.
+     */
+    scrub?: boolean | ScrubOptions
+
+    /** Validates hits and reports any that are invalid. Specify `true` to use the `'remote'` validator. */
+    debug?: boolean | DebugOptions
+
+    /**
+     * The `@paychex/core` {@link EventBus} to notify of collector activity. If not provided,
+     * a new bus will be created. See {@link GoogleTrackingSubscriber.bus} for the events fired.
+     */
+    bus?: EventBus
+
+    /** Controls how quickly items are converted into hits. */
+    rateLimit?: RateLimitOptions
+
 }
 
 type Hit = Record<string, any>;
 type Data = Record<string, any>;
 
-const { autoReset } = signals;
+interface Throttled {
+    entry: TrackingInfo,
+    key?: string,
+    token?: any,
+}
+
+interface Queued {
+    hit: Hit,
+    time: number,
+    attempts?: number,
+    entry?: TrackingInfo,
+    client_id?: string,
+    user_id?: string,
+}
+
+interface Protocol {
+    maxAge: number,
+    batched: boolean,
+    operation: DataDefinition,
+    validation: DataDefinition,
+    varying: string[],
+    isValid(item: Queued): boolean,
+    convert(entry: TrackingInfo, mappers: MapperRegistry, names: Data): Hit,
+    count(queue: Queued[]): number,
+    serialize(batch: Queued[], now: number): string,
+    check(item: Queued): ValidationMessage[],
+    parse(batch: Queued[], response: any): ValidationMessage[][],
+}
+
+const { autoReset, manualReset } = signals;
 const { error, FATAL, fatal } = errors;
 
 const MAX_SLOTS = 20;
+const REFILL_SLOTS = 2;
+const SLOT_INTERVAL_MS = 1000;
 const MAX_HITS_PER_BATCH = 20;
 const MAX_HIT_SIZE_KB = 8 << 10;
 const MAX_BATCH_SIZE_KB = 16 << 10;
+const MAX_EVENTS_PER_REQUEST = 25;
+const MAX_REQUEST_SIZE_KB = 130 << 10;
+const MAX_EVENT_NAME_LENGTH = 40;
+const MAX_QUEUE_TIME_MS = 4 * 60 * 60 * 1000;
+const MAX_EVENT_AGE_MS = 72 * 60 * 60 * 1000;
+const QUEUE_KEY = 'queue';
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+
+const MAX_PARAMS_PER_EVENT = 25;
+const MAX_PARAM_NAME_LENGTH = 40;
+const MAX_PARAM_VALUE_LENGTH = 100;
 
 const operation = Object.freeze({
     path: 'batch',
@@ -60,34 +568,204 @@ const operation = Object.freeze({
     },
 });
 
-const rx = /^dimension\d+$/;
+const rx = /^(dimension|metric|contentGroup)\d+$/;
+const rxMetric = /^metric\d+$/;
+const rxInvalidEventChars = /[^a-z0-9_]/g;
+const rxLeadingNonAlpha = /^[^a-z]+/;
+const rxQueueTime = /(^|&)qt=[^&]*/;
+const rxQueryString = /[?#].*$/;
+const rxIdSegment = /\/(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})(?=[/?#]|$)/gi;
+
+const campaignFields: Record<string, string> = {
+    campaignName: 'campaign',
+    campaignSource: 'source',
+    campaignMedium: 'medium',
+    campaignKeyword: 'term',
+    campaignContent: 'content',
+    campaignId: 'campaign_id',
+};
 
-function onlyDimensions(map: Data, [key, value]: [string, any]): Data {
-    if (rx.test(key))
-        map[key] = value == null ? null : String(value);
-    return map;
+const transactionParams: Record<string, string> = {
+    id: 'ti',
+    affiliation: 'ta',
+    revenue: 'tr',
+    tax: 'tt',
+    shipping: 'ts',
+    coupon: 'tcc',
+};
+
+const productParams: Record<string, string> = {
+    id: 'id',
+    name: 'nm',
+    category: 'ca',
+    brand: 'br',
+    variant: 'va',
+    price: 'pr',
+    quantity: 'qt',
+    coupon: 'cc',
+    position: 'ps',
+};
+
+const requiredParams = ['v', 't', 'tid'];
+
+const paramLengths: Record<string, number> = {
+    dl: 2048,
+    dp: 2048,
+    dr: 2048,
+    dh: 100,
+    dt: 1500,
+    cn: 100,
+    cs: 100,
+    cm: 50,
+    ck: 500,
+    cc: 500,
+    ci: 100,
+    ec: 150,
+    ea: 500,
+    el: 500,
+    cd: 150,
+    exd: 150,
+    utc: 150,
+    utv: 500,
+    utl: 500,
+    an: 100,
+    av: 100,
+};
+
+const eventParamLengths: Record<string, number> = {
+    page_location: 1000,
+    page_referrer: 420,
+    page_title: 300,
+};
+
+const rxCustomDimension = /^cd\d+$/;
+const rxEventName = /^[a-z][a-z0-9_]*$/i;
+const rxEventIndex = /^events\[(\d+)\]/;
+
+const detectors: Record<string, ScrubRule> = {
+    email: {
+        name: 'email',
+        pattern: /[a-z0-9._%+-]+(@|%40)[a-z0-9.-]+\.[a-z]{2,}/gi,
+    },
+    ssn: {
+        name: 'ssn',
+        pattern: /\b\d{3}[- ]\d{2}[- ]\d{4}\b/g,
+    },
+    phone: {
+        name: 'phone',
+        pattern: /(\+?1[-. ]?)?(\(\d{3}\)|\b\d{3})[-. ]?\d{3}[-. ]\d{4}\b/g,
+    },
+};
+
+const productActions: Record<string, string> = {
+    purchase: 'purchase',
+    refund: 'refund',
+    add: 'add_to_cart',
+    remove: 'remove_from_cart',
+    detail: 'view_item',
+    click: 'select_item',
+    checkout: 'begin_checkout',
+};
+
+function asFieldValue(field: string, value: any): any {
+    if (value == null)
+        return null;
+    return rxMetric.test(field) ? Number(value) : String(value);
 }
 
-function withDimensions(hit: Hit, entry: TrackingInfo): Hit {
+function withFields(hit: Hit, entry: TrackingInfo, names: Data, aliases: Data = {}): Hit {
     const data = get(entry, 'data', {});
-    const dims = Object.entries(data).reduce(onlyDimensions, {});
-    return Object.assign(hit, dims);
+    return Object.entries(data).reduce((fields: Data, [key, value]) => {
+        const field = has(names, key) ? names[key] : key;
+        if (rx.test(field))
+            fields[field] = asFieldValue(field, value);
+        else if (has(campaignFields, field))
+            fields[get(aliases, field, field)] = asFieldValue(field, value);
+        return fields;
+    }, Object.assign({}, hit));
+}
+
+function isPageview(entry: TrackingInfo): boolean {
+    const type: string = get(entry, 'type');
+    return type === 'pageview' ||
+        (type === 'event' && get(entry, 'data.page') != null);
+}
+
+function isScreenview(entry: TrackingInfo): boolean {
+    const type: string = get(entry, 'type');
+    return type === 'screenview' ||
+        (type === 'event' && get(entry, 'data.screenName') != null);
+}
+
+function isEcommerce(entry: TrackingInfo): boolean {
+    return get(entry, 'type') === 'event' && (
+        Array.isArray(get(entry, 'data.products')) ||
+        isObject(get(entry, 'data.transaction')));
+}
+
+function asProductAction(entry: TrackingInfo): string {
+    const transaction = get(entry, 'data.transaction');
+    return get(entry, 'data.productAction', transaction ? 'purchase' : 'detail');
+}
+
+function asPageview(entry: TrackingInfo): Hit {
+    if (isPageview(entry))
+        return {
+            hitType: 'pageview',
+            page: get(entry, 'data.page', get(entry, 'label')),
+            title: get(entry, 'data.title'),
+            location: get(entry, 'data.location'),
+        };
+}
+
+function asScreenview(entry: TrackingInfo): Hit {
+    if (isScreenview(entry))
+        return {
+            hitType: 'screenview',
+            screenName: get(entry, 'data.screenName', get(entry, 'label')),
+            appName: get(entry, 'data.appName'),
+            appVersion: get(entry, 'data.appVersion'),
+        };
 }
 
 function asEvent(entry: TrackingInfo): Hit {
     if (get(entry, 'type') === 'event')
-        return withDimensions({
+        return {
             hitType: 'event',
             eventAction: get(entry, 'data.action', get(entry, 'label')),
             eventLabel: get(entry, 'data.label', get(entry, 'data.action')),
             eventCategory: get(entry, 'data.category'),
             eventValue: get(entry, 'data.value', get(entry, 'count')),
-        }, entry);
+        };
+}
+
+// enhanced ecommerce data is sent using raw measurement
+// protocol parameters, which analytics.js accepts when
+// the field name is prefixed with an ampersand
+function asEcommerce(entry: TrackingInfo): Hit {
+    if (!isEcommerce(entry))
+        return;
+    const hit = asEvent(entry);
+    const products: Data[] = get(entry, 'data.products', []);
+    const transaction: Data = get(entry, 'data.transaction', {});
+    hit['&pa'] = asProductAction(entry);
+    hit['&cu'] = get(entry, 'data.currency');
+    Object.entries(transactionParams).forEach(([key, param]) => {
+        if (transaction[key] != null)
+            hit[`&${param}`] = transaction[key];
+    });
+    products.forEach((product, i) => {
+        Object.entries(productParams).forEach(([key, param]) => {
+            if (get(product, key) != null)
+                hit[`&pr${i + 1}${param}`] = product[key];
+        });
+    });
+    return hit;
 }
 
 function asTimer(entry: TrackingInfo): Hit {
     if (get(entry, 'type') === 'timer')
-        return withDimensions({
+        return {
             hitType: 'timing',
             timingValue: get(entry, 'duration'),
             timingCategory: get(entry, 'data.category'),
@@ -97,44 +775,614 @@ function asTimer(entry: TrackingInfo): Hit {
             // and pass our "variable" as GA's "label"
             timingLabel: get(entry, 'data.variable'),
             timingVar: get(entry, 'label'),
-        }, entry);
+        };
 }
 
 function asError(entry: TrackingInfo): Hit {
     if (get(entry, 'type') === 'error')
-        return withDimensions({
+        return {
             hitType: 'exception',
             exDescription: get(entry, 'label'),
             exFatal: get(entry, 'data.severity') === FATAL,
-        }, entry);
+        };
+}
+
+function asEventName(label: any): string {
+    const name = snakeCase(String(label || ''))
+        .replace(rxInvalidEventChars, '')
+        .replace(rxLeadingNonAlpha, '')
+        .substring(0, MAX_EVENT_NAME_LENGTH);
+    return name || 'event';
+}
+
+function asMeasurementPageview(entry: TrackingInfo): Hit {
+    if (isPageview(entry))
+        return {
+            name: 'page_view',
+            params: {
+                page_location: get(entry, 'data.location', get(entry, 'data.page', get(entry, 'label'))),
+                page_title: get(entry, 'data.title'),
+            },
+        };
+}
+
+function asMeasurementScreenview(entry: TrackingInfo): Hit {
+    if (isScreenview(entry))
+        return {
+            name: 'screen_view',
+            params: {
+                screen_name: get(entry, 'data.screenName', get(entry, 'label')),
+                app_name: get(entry, 'data.appName'),
+                app_version: get(entry, 'data.appVersion'),
+            },
+        };
+}
+
+function asMeasurementEvent(entry: TrackingInfo): Hit {
+    if (get(entry, 'type') === 'event')
+        return {
+            name: asEventName(get(entry, 'data.action', get(entry, 'label'))),
+            params: {
+                event_category: get(entry, 'data.category'),
+                event_label: get(entry, 'data.label', get(entry, 'label')),
+                value: get(entry, 'data.value', get(entry, 'count')),
+            },
+        };
+}
+
+function asMeasurementItem(product: Data, index: number): Data {
+    return {
+        item_id: get(product, 'id'),
+        item_name: get(product, 'name'),
+        item_category: get(product, 'category'),
+        item_brand: get(product, 'brand'),
+        item_variant: get(product, 'variant'),
+        price: get(product, 'price'),
+        quantity: get(product, 'quantity'),
+        coupon: get(product, 'coupon'),
+        index: get(product, 'position', index),
+    };
+}
+
+function asMeasurementEcommerce(entry: TrackingInfo): Hit {
+    if (!isEcommerce(entry))
+        return;
+    const action = asProductAction(entry);
+    const products: Data[] = get(entry, 'data.products', []);
+    return {
+        name: get(productActions, action, asEventName(action)),
+        params: {
+            currency: get(entry, 'data.currency'),
+            transaction_id: get(entry, 'data.transaction.id'),
+            affiliation: get(entry, 'data.transaction.affiliation'),
+            value: get(entry, 'data.transaction.revenue'),
+            tax: get(entry, 'data.transaction.tax'),
+            shipping: get(entry, 'data.transaction.shipping'),
+            coupon: get(entry, 'data.transaction.coupon'),
+            items: products.map(asMeasurementItem),
+        },
+    };
+}
+
+function asMeasurementTimer(entry: TrackingInfo): Hit {
+    if (get(entry, 'type') === 'timer')
+        return {
+            name: 'timing_complete',
+            params: {
+                name: get(entry, 'label'),
+                value: get(entry, 'duration'),
+                event_category: get(entry, 'data.category'),
+                event_label: get(entry, 'data.variable'),
+            },
+        };
+}
+
+function asMeasurementError(entry: TrackingInfo): Hit {
+    if (get(entry, 'type') === 'error')
+        return {
+            name: 'exception',
+            params: {
+                description: get(entry, 'label'),
+                fatal: get(entry, 'data.severity') === FATAL,
+            },
+        };
+}
+
+/**
+ * Converts a {@link TrackingInfo} item into a Google Analytics hit. For the `'universal'`
+ * protocol, the hit is a fields object passed to `ga('send', hit)`. For the `'measurement'`
+ * protocol, the hit is a GA4 event object with `name` and `params` properties.
+ *
+ * Return `undefined` to let the next mapper registered for the same type handle the item.
+ *
+ * @example
+ * ```js
+ * function asSocial(entry) {
+ *   if (entry.data.network)
+ *     return {
+ *       hitType: 'social',
+ *       socialNetwork: entry.data.network,
+ *       socialAction: entry.label,
+ *       socialTarget: entry.data.target,
+ *     };
+ * }
+ * ```
+ */
+export interface HitMapper {
+    (entry: TrackingInfo): Record<string, any> | void
+}
+
+/**
+ * Registry of {@link HitMapper} functions used to convert {@link TrackingInfo} items into
+ * Google Analytics hits. Includes built-in mappers for the `'event'`, `'timer'`, `'error'`,
+ * `'pageview'` and `'screenview'` types, including enhanced ecommerce data.
+ */
+export interface MapperRegistry {
+
+    /**
+     * Registers a mapper for the given {@link TrackingInfo} type. Mappers are invoked in
+     * reverse order of registration, so registered mappers take precedence over the built-in
+     * mappers. The first mapper to return a hit is used.
+     *
+     * @param type The {@link TrackingInfo} type the mapper handles.
+     * @param mapper The mapper to register.
+     * @param protocol The protocol the mapper creates hits for. Default is `'universal'`.
+     * @returns A function that removes the mapper from the registry.
+     */
+    register(type: string, mapper: HitMapper, protocol?: ProtocolType): VoidFunction
+
+    /**
+     * Converts the given {@link TrackingInfo} item into a hit using the registered mappers.
+     *
+     * @param entry The item to convert.
+     * @param protocol The protocol to create a hit for. Default is `'universal'`.
+     * @returns The converted hit, or `undefined` if no mapper handled the item.
+     */
+    map(entry: TrackingInfo, protocol?: ProtocolType): Record<string, any>
+
+}
+
+/**
+ * Creates a new {@link MapperRegistry} containing the built-in mappers. Pass the registry to
+ * {@link googleAnalytics} to customize how {@link TrackingInfo} items are converted into hits.
+ *
+ * @returns A new mapper registry.
+ * @example
+ * ```js
+ * const mappers = createMapperRegistry();
+ *
+ * // override the built-in event mapper
+ * mappers.register('event', (entry) => ({
+ *   hitType: 'event',
+ *   eventAction: entry.label,
+ *   eventCategory: entry.data.area,
+ * }));
+ *
+ * const collector = googleAnalytics(send, { mappers });
+ * ```
+ */
+export function createMapperRegistry(): MapperRegistry {
+
+    const mappers: Record<ProtocolType, Record<string, HitMapper[]>> = {
+        universal: Object.create(null),
+        measurement: Object.create(null),
+    };
+
+    function register(type: string, mapper: HitMapper, protocol: ProtocolType = 'universal'): VoidFunction {
+        if (!has(mappers, protocol))
+            throw error('A valid `protocol` must be provided.', fatal());
+        if (!(isFunction(mapper)))
+            throw error('A `mapper` function must be provided.', fatal());
+        const list = mappers[protocol][type] = mappers[protocol][type] || [];
+        list.unshift(mapper);
+        return function unregister() {
+            pull(list, mapper);
+        };
+    }
+
+    function map(entry: TrackingInfo, protocol: ProtocolType = 'universal'): Record<string, any> {
+        const list: HitMapper[] = get(mappers, [protocol, get(entry, 'type')], []);
+        for (const mapper of list) {
+            const hit = mapper(entry);
+            if (!!hit)
+                return hit;
+        }
+    }
+
+    register('event', asEvent);
+    register('event', asEcommerce);
+    register('event', asScreenview);
+    register('event', asPageview);
+    register('timer', asTimer);
+    register('error', asError);
+    register('pageview', asPageview);
+    register('screenview', asScreenview);
+
+    register('event', asMeasurementEvent, 'measurement');
+    register('event', asMeasurementEcommerce, 'measurement');
+    register('event', asMeasurementScreenview, 'measurement');
+    register('event', asMeasurementPageview, 'measurement');
+    register('timer', asMeasurementTimer, 'measurement');
+    register('error', asMeasurementError, 'measurement');
+    register('pageview', asMeasurementPageview, 'measurement');
+    register('screenview', asMeasurementScreenview, 'measurement');
+
+    return { register, map };
+
+}
+
+function convertToHit(entry: TrackingInfo, mappers: MapperRegistry, names: Data): Hit {
+    const hit = mappers.map(entry, 'universal');
+    if (!!hit)
+        return withFields(hit, entry, names);
+}
+
+function convertToEvent(entry: TrackingInfo, mappers: MapperRegistry, names: Data): Hit {
+    const event = mappers.map(entry, 'measurement');
+    if (!event)
+        return;
+    const start = get(entry, 'start');
+    const params = withFields(get(event, 'params', {}), entry, names, campaignFields);
+    const result: Hit = Object.assign({}, event, { params });
+    if (isNumber(start))
+        result.timestamp_micros = start * 1000;
+    return result;
+}
+
+
+function isValidEvent(item: Queued): boolean {
+    return envelopeSize(item) + eventSize(item) <= MAX_REQUEST_SIZE_KB;
+}
+
+// the size of the request body without any events
+function envelopeSize({ client_id, user_id }: Queued): number {
+    return JSON.stringify({ client_id, user_id, events: [] }).length;
+}
+
+function serializeEvents(batch: Queued[]): string {
+    const [{ client_id, user_id }] = batch;
+    const events = batch.map(item => item.hit);
+    return JSON.stringify({ client_id, user_id, events });
+}
+
+function hitSize(item: Queued): number {
+    return String(item.hit).length;
+}
+
+// qt is added to each hit when it is sent, so allow
+// for the longest possible queue time
+function queuedHitSize(item: Queued): number {
+    return withQueueTime(item.hit, MAX_QUEUE_TIME_MS).length;
 }
 
-function convertToHit(entry: TrackingInfo): Hit {
-    return asEvent(entry) ||
-        asTimer(entry) ||
-        asError(entry);
+function eventSize(item: Queued): number {
+    return JSON.stringify(item.hit).length;
 }
 
-function isValidHit(hit: Hit): boolean {
-    return String(hit).length <= MAX_HIT_SIZE_KB;
+function withQueueTime(hit: Hit, qt: number): string {
+    const params = String(hit).replace(rxQueueTime, '');
+    return params ? `${params}&qt=${qt}` : `qt=${qt}`;
 }
 
-function indexBySize(array: Hit[], size: number): number {
+function indexBySize(array: Queued[], size: number, measure: (item: Queued) => number): number {
     let i = 0,
         bytes = 0;
     for (; i < array.length; i++) {
-        bytes += String(array[i]).length;
+        bytes += measure(array[i]);
         if (bytes + i > size)
             break;
     }
     return i;
 }
 
+function indexByIdentity(array: Queued[]): number {
+    let i = 1;
+    const [first] = array;
+    for (; i < array.length; i++) {
+        if (array[i].client_id !== first.client_id ||
+            array[i].user_id !== first.user_id)
+            break;
+    }
+    return i;
+}
+
+function asScrubRules(scrub: boolean | ScrubOptions): ScrubRule[] {
+    if (!scrub)
+        return [];
+    const names = get(scrub, 'detectors', Object.keys(detectors));
+    const custom: ScrubRule[] = get(scrub, 'rules', []);
+    return names
+        .map((name: string) => detectors[name])
+        .filter(Boolean)
+        .concat(custom)
+        .map(rule => Object.assign({}, rule, {
+            pattern: new RegExp(rule.pattern.source,
+                rule.pattern.flags.indexOf('g') < 0 ? `${rule.pattern.flags}g` : rule.pattern.flags),
+        }));
+}
+
+function redact(value: any, field: string, rules: ScrubRule[], redactions: Redaction[]): any {
+    if (!isString(value))
+        return value;
+    return rules.reduce((result, { name, pattern, replacement = '[REDACTED]' }) => {
+        const scrubbed = result.replace(pattern, replacement);
+        if (scrubbed !== result)
+            redactions.push({ field, rule: name });
+        return scrubbed;
+    }, value);
+}
+
+function scrubEntry(entry: TrackingInfo, rules: ScrubRule[], onRedact: Function): TrackingInfo {
+    if (!rules.length || !isObject(entry))
+        return entry;
+    const redactions: Redaction[] = [];
+    const label = redact(get(entry, 'label'), 'label', rules, redactions);
+    const data = Object.entries(get(entry, 'data', {})).reduce((result: Data, [key, value]) => {
+        result[key] = redact(value, `data.${key}`, rules, redactions);
+        return result;
+    }, {});
+    if (!redactions.length)
+        return entry;
+    const scrubbed = Object.assign({}, entry, { label, data });
+    if (isFunction(onRedact))
+        onRedact(redactions, scrubbed);
+    return scrubbed;
+}
+
+function scrubHit(hit: Hit, rules: ScrubRule[], onRedact: Function): Hit {
+    if (!rules.length)
+        return hit;
+    const redactions: Redaction[] = [];
+    const params = Object.entries(asParams(hit)).map(([key, value]) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(redact(value, key, rules, redactions))}`);
+    if (!redactions.length)
+        return hit;
+    const scrubbed: any = params.join('&');
+    if (isFunction(onRedact))
+        onRedact(redactions, scrubbed);
+    return scrubbed;
+}
+
+function asJson(response: any): any {
+    const data = get(response, 'data', response);
+    if (!isString(data))
+        return data;
+    try {
+        return JSON.parse(data);
+    } catch (e) {
+        return {};
+    }
+}
+
+function asParams(hit: Hit): Data {
+    return String(hit).split('&').reduce((params: Data, pair) => {
+        const [key, value = ''] = pair.split('=');
+        if (key)
+            params[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+        return params;
+    }, {});
+}
+
+function checkHit(item: Queued): ValidationMessage[] {
+    const messages: ValidationMessage[] = [];
+    const params = asParams(item.hit);
+    requiredParams.forEach(parameter => {
+        if (!params[parameter])
+            messages.push({ type: 'ERROR', parameter, description: `The parameter '${parameter}' is required.` });
+    });
+    if (!params.cid && !params.uid)
+        messages.push({ type: 'ERROR', parameter: 'cid', description: `The parameter 'cid' or 'uid' is required.` });
+    Object.entries(params).forEach(([parameter, value]) => {
+        const max = get(paramLengths, rxCustomDimension.test(parameter) ? 'cd' : parameter);
+        if (isNumber(max) && value.length > max)
+            messages.push({ type: 'ERROR', parameter, description: `The value exceeds the maximum length of ${max}.` });
+    });
+    return messages;
+}
+
+function checkEvent(item: Queued): ValidationMessage[] {
+    const messages: ValidationMessage[] = [];
+    const { name, params } = item.hit;
+    if (!item.client_id)
+        messages.push({ type: 'ERROR', parameter: 'client_id', description: 'A client id is required.' });
+    if (!isString(name) || !rxEventName.test(name) || name.length > MAX_EVENT_NAME_LENGTH)
+        messages.push({ type: 'NAME_INVALID', parameter: 'name', description: `The event name '${name}' is invalid.` });
+    // undefined params are not serialized, so they
+    // do not count towards the parameter limit
+    const entries = Object.entries(params).filter(([, value]) => value !== undefined);
+    if (entries.length > MAX_PARAMS_PER_EVENT)
+        messages.push({ type: 'EXCEEDED_MAX_ENTITIES', parameter: 'params', description: `An event may have at most ${MAX_PARAMS_PER_EVENT} parameters.` });
+    entries.forEach(([key, value]) => {
+        const parameter = `params.${key}`;
+        const max = get(eventParamLengths, key, MAX_PARAM_VALUE_LENGTH);
+        if (key.length > MAX_PARAM_NAME_LENGTH)
+            messages.push({ type: 'NAME_INVALID', parameter, description: `The parameter name exceeds ${MAX_PARAM_NAME_LENGTH} characters.` });
+        if (isString(value) && value.length > max)
+            messages.push({ type: 'VALUE_INVALID', parameter, description: `The parameter value exceeds ${max} characters.` });
+    });
+    return messages;
+}
+
+function parseHits(batch: Queued[], response: any): ValidationMessage[][] {
+    const results = get(asJson(response), 'hitParsingResult', []);
+    return batch.map((item, i) => {
+        if (get(results, [i, 'valid'], true))
+            return [];
+        return get(results, [i, 'parserMessage'], []).map((message: Data) => ({
+            type: message.messageType,
+            description: message.description,
+            parameter: message.parameter,
+        }));
+    });
+}
+
+function parseEvents(batch: Queued[], response: any): ValidationMessage[][] {
+    const results: ValidationMessage[][] = batch.map(() => []);
+    get(asJson(response), 'validationMessages', []).forEach((message: Data) => {
+        const parameter: string = message.fieldPath;
+        const match = rxEventIndex.exec(parameter || '');
+        const indices = match ? [Number(match[1])] : batch.map((item, i) => i);
+        indices.filter(i => i < batch.length).forEach(i => results[i].push({
+            type: message.validationCode,
+            description: message.description,
+            parameter,
+        }));
+    });
+    return results;
+}
+
+function asCoalesceKey(hit: Hit, varying: string[]): string {
+    return JSON.stringify(omit(hit, varying));
+}
+
+function asValue(entry: TrackingInfo): number {
+    return Number(get(entry, 'data.value', get(entry, 'count', 1))) || 0;
+}
+
+function coalesce(target: TrackingInfo, entry: TrackingInfo): TrackingInfo {
+    return Object.assign({}, target, {
+        count: get(target, 'count', 1) + get(entry, 'count', 1),
+        stop: Math.max(get(target, 'stop', 0), get(entry, 'stop', 0)),
+        data: Object.assign({}, get(target, 'data'), {
+            value: asValue(target) + asValue(entry),
+        }),
+    });
+}
+
+function isRetryable(e: any): boolean {
+    const status = Number(get(e, 'status', get(e, 'response.status', 0)));
+    return !status || status === 408 || status === 429 || status >= 500;
+}
+
+function backoff(attempt: number, base: number, max: number): number {
+    const delay = Math.min(max, base * Math.pow(2, attempt - 1));
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+function resolve(value: string | (() => string)): string {
+    return isFunction(value) ? value() : value;
+}
+
+function randomClientId(): string {
+    const random = Math.floor(Math.random() * 0x7fffffff);
+    const seconds = Math.floor(Date.now() / 1000);
+    return `${random}.${seconds}`;
+}
+
+function universal(queueTime: boolean): Protocol {
+    const measure = queueTime ? queuedHitSize : hitSize;
+    return {
+        operation,
+        validation: Object.freeze(Object.assign({}, operation, { path: 'debug/collect' })),
+        batched: false,
+        varying: ['eventValue'],
+        convert: convertToHit,
+        isValid: (item: Queued) => measure(item) <= MAX_HIT_SIZE_KB,
+        check: checkHit,
+        parse: parseHits,
+        maxAge: MAX_QUEUE_TIME_MS,
+        count(queue: Queued[]): number {
+            const index = indexBySize(queue, MAX_BATCH_SIZE_KB, measure);
+            return Math.min(MAX_HITS_PER_BATCH, index);
+        },
+        serialize(batch: Queued[], now: number): string {
+            return batch.map(({ hit, time }) => queueTime ?
+                withQueueTime(hit, Math.max(0, now - time)) :
+                hit).join('\n');
+        },
+    };
+}
+
+function measurement(options: GoogleAnalyticsOptions): Protocol {
+    const { measurementId, apiSecret } = options;
+    if (!isString(measurementId) || !isString(apiSecret))
+        throw error('A `measurementId` and `apiSecret` must be provided.', fatal());
+    const query = [
+        `measurement_id=${encodeURIComponent(measurementId)}`,
+        `api_secret=${encodeURIComponent(apiSecret)}`,
+    ].join('&');
+    const definition = Object.freeze({
+        path: `mp/collect?${query}`,
+        method: 'POST',
+        protocol: 'https',
+        host: 'www.google-analytics.com',
+        headers: {
+            'content-type': 'application/json'
+        },
+        ignore: {
+            tracking: true,
+            traceability: true,
+        },
+    });
+    return {
+        operation: definition,
+        validation: Object.freeze(Object.assign({}, definition, { path: `debug/${definition.path}` })),
+        batched: true,
+        varying: ['timestamp_micros', 'params.value'],
+        convert: convertToEvent,
+        isValid: isValidEvent,
+        check: checkEvent,
+        parse: parseEvents,
+        maxAge: MAX_EVENT_AGE_MS,
+        count(queue: Queued[]): number {
+            if (!queue.length)
+                return 0;
+            const index = indexBySize(queue, MAX_REQUEST_SIZE_KB - envelopeSize(queue[0]), eventSize);
+            return Math.min(MAX_EVENTS_PER_REQUEST, index, indexByIdentity(queue));
+        },
+        serialize: serializeEvents,
+    };
+}
+
 /** Represents a {@link TrackingSubscriber} extended with useful functionality. */
 export interface GoogleTrackingSubscriber extends TrackingSubscriber {
 
-    /** Called to stop the subscriber permanently from sending data to Google. */
-    dispose: VoidFunction
+    /**
+     * Immediately sends all pending hits, including any hits delayed because of rate limiting
+     * or waiting to be retried.
+     * GA's batching limits are still enforced, so multiple batches may be sent. Resolves once
+     * all batches have been sent, or once a batch fails to send.
+     */
+    flush(): Promise<void>
+
+    /**
+     * Called to stop the subscriber permanently from sending data to Google. Any pending hits
+     * are flushed first.
+     */
+    dispose(): Promise<void>
+
+    /**
+     * Returns a snapshot of the collector's activity, such as the number of hits queued,
+     * sent and dropped.
+     */
+    stats(): CollectorStats
+
+    /**
+     * The `@paychex/core` {@link EventBus} notified of collector activity. Fires the following events:
+     *
+     * - `'batch-sent'`: `{ count, bytes }`
+     * - `'batch-failed'`: `{ count, error, retrying }`
+     * - `'hit-dropped'`: `{ hits, reason }`
+     * - `'throttled'`: `{ entry }` (fired once for each item delayed by rate limiting)
+     *
+     * @example
+     * ```js
+     * collector.bus.on('hit-dropped', ({ hits, reason }) => {
+     *   monitor.increment(`ga.dropped.${reason}`, hits.length);
+     * });
+     * ```
+     */
+    bus: EventBus
+
+    /**
+     * Grants or revokes analytics consent. Granting consent sends any held {@link TrackingInfo}
+     * items; revoking consent purges them, along with any delayed items and queued hits (including
+     * persisted hits), and holds (or drops) subsequent items. Hits in a batch that is already
+     * being sent cannot be recalled.
+     *
+     * @param granted Whether analytics consent has been granted.
+     */
+    setConsent(granted: boolean): void
 
 }
 
@@ -146,10 +1394,39 @@ export interface GoogleTrackingSubscriber extends TrackingSubscriber {
  * - maximum batch size: 16kb
  * - max hits per batch: 20
  *
+ * When the `'measurement'` protocol is specified in the options, {@link TrackingInfo} items
+ * are converted directly into GA4 Measurement Protocol events (no global `ga` object is
+ * needed) and sent as JSON, up to 25 events per request.
+ *
+ * If a {@link Store} is provided in the options, queued hits will be persisted to the store
+ * and restored the next time a collector is created.
+ *
+ * Failed batches are retried using exponential backoff with jitter, up to a maximum number
+ * of attempts. Errors that cannot be retried (e.g. 4xx statuses) cause the batch to be dropped.
+ *
+ * Call `flush()` to send all pending hits immediately. Specify the `unload` option to
+ * automatically send pending hits when the user leaves the page.
+ *
+ * Use the `consent` option to hold or drop items until analytics consent is granted, and the
+ * `scrub` option to remove personally identifiable information before items are sent.
+ *
+ * Use the `debug` option while testing to validate hits (using GA's validation endpoint or
+ * a local validator) and report any invalid hits along with their original {@link TrackingInfo}.
+ *
+ * Items are rate limited using a token bucket (by default, 20 tokens refilled by 2 every
+ * second). Use the `rateLimit` option to change the bucket and to delay, drop or coalesce
+ * items collected while the limit is exceeded.
+ *
+ * Custom dimensions (`dimensionN`), metrics (`metricN`), content groups (`contentGroupN`) and
+ * campaign fields found in the {@link TrackingInfo} data are sent with each hit. Use a
+ * {@link MapperRegistry} to customize how items are converted into hits.
+ *
  * @param send Function to call when a batch is ready to send to Google Analytics. Will
- * be invoked with the batch payload (a string where each line is a form URL-encoded GA hit) as well
- * as the DataDefinition you should pass to the `@paychex/core` `createRequest` method. See the
- * examples for details.
+ * be invoked with the batch payload (for the `'universal'` protocol, a string where each line is
+ * a form URL-encoded GA hit; for the `'measurement'` protocol, a JSON string of the form
+ * `{ client_id, user_id, events }`) as well as the DataDefinition you should pass to the
+ * `@paychex/core` `createRequest` method. See {@link SendFunction} and the examples for details.
+ * @param options Optional settings used to configure the collector.
  * @returns A collection function that can be passed to `createTracker` in `@paychex/core`.
  * @example
  * ```js
@@ -161,7 +1438,7 @@ export interface GoogleTrackingSubscriber extends TrackingSubscriber {
  *   await fetch(createRequest(operation, null, payload));
  * }
  *
- * const collector = googleAnalytics(send, ga);
+ * const collector = googleAnalytics(send);
  * export const tracker = trackers.create(collector);
  * ```
  * @example
@@ -170,7 +1447,7 @@ export interface GoogleTrackingSubscriber extends TrackingSubscriber {
  *
  * async function send(payload, operation) { ... }
  *
- * let collector = googleAnalytics(send, ga);
+ * let collector = googleAnalytics(send);
  *
  * collector = trackers.utils.withReplacement(collector, new Map([
  *   [/\ben\b/i, 'English'],
@@ -200,32 +1477,204 @@ export interface GoogleTrackingSubscriber extends TrackingSubscriber {
  * }
  * ```
  */
-export function googleAnalytics(send: SendFunction): GoogleTrackingSubscriber {
+export function googleAnalytics(send: SendFunction, options: GoogleAnalyticsOptions = {}): GoogleTrackingSubscriber {
 
     if (!(isFunction(send)))
         throw error('A `send` function must be provided.', fatal());
 
-    const SLOT_INTERVAL = arguments[1] || 1000;
+    const SLOT_INTERVAL = isNumber(arguments[1]) ?
+        arguments[1] :
+        get(options, 'rateLimit.interval', SLOT_INTERVAL_MS);
+    const SLOTS: number = get(options, 'rateLimit.size', MAX_SLOTS);
+    const REFILL: number = get(options, 'rateLimit.refill', REFILL_SLOTS);
+    const WINDOW: number = get(options, 'rateLimit.window', SLOT_INTERVAL);
+    const limiting = get(options, 'rateLimit.overflow', 'delay');
+    const isMeasurement = get(options, 'protocol') === 'measurement';
+    const mappers: MapperRegistry = get(options, 'mappers') || createMapperRegistry();
+    const names: Data = Object.assign({}, get(options, 'dimensions'), get(options, 'metrics'));
+    const store: Store = get(options, 'store');
+    const protocol = isMeasurement ? measurement(options) : universal(!!store);
+    const clientId = get(options, 'clientId') || randomClientId();
+    const maxQueueLength: number = get(options, 'maxQueueLength', Infinity);
+    const overflow: OverflowPolicy = get(options, 'overflow', 'drop-oldest');
+    const maxAttempts: number = get(options, 'retry.maxAttempts', MAX_ATTEMPTS);
+    const baseDelay: number = get(options, 'retry.baseDelay', BASE_RETRY_DELAY_MS);
+    const maxDelay: number = get(options, 'retry.maxDelay', MAX_RETRY_DELAY_MS);
+    const canRetry: (e: any) => boolean = get(options, 'retry.isRetryable', isRetryable);
+    const scrubRules = asScrubRules(get(options, 'scrub'));
+    const onRedact = get(options, 'scrub.onRedact');
+    const consentMode = get(options, 'consent.pending', 'hold');
+    const debug = get(options, 'debug');
+    const validator = debug ? get(debug, 'validator', 'remote') : undefined;
+    const bus: EventBus = get(options, 'bus') || events.bus();
+    const counters = {
+        sent: 0,
+        batches: 0,
+        retried: 0,
+        throttled: 0,
+        bytesSent: 0,
+        dropped: {
+            'overflow': 0,
+            'expired': 0,
+            'max-attempts': 0,
+            'permanent': 0,
+            'consent': 0,
+            'invalid': 0,
+            'unmapped': 0,
+            'rate-limited': 0,
+        } as Record<DropReason, number>,
+    };
 
-    let disposed = false,
+    let retry: any,
+        retryAt = 0,
+        collecting: TrackingInfo,
+        consented = !has(options, 'consent') || !!get(options, 'consent.granted'),
+        disposed = false,
         scheduled = false,
-        slots = MAX_SLOTS;
+        slots = SLOTS;
 
     function increment() {
-        slots = Math.min(MAX_SLOTS, slots + 2);
+        slots = Math.min(SLOTS, slots + REFILL);
     }
 
-    const queue: Hit[] = [];
+    const queue: Queued[] = [];
+    const held: Queued[] = [];
+    const throttled: Throttled[] = [];
+    const unload = get(options, 'unload');
     const sending = autoReset(true);
+    const restored = manualReset(!store);
     const token = setInterval(increment, SLOT_INTERVAL);
 
-    invoke(globalThis, 'ga', 'set', 'sendHitTask', function enqueue(data: any) {
-        const hit = data.get('hitPayload');
-        if (isValidHit(hit)) {
-            queue.push(hit);
+    if (!isMeasurement)
+        invoke(globalThis, 'ga', 'set', 'sendHitTask', function sendHitTask(data: any) {
+            // analytics.js adds its own parameters (e.g. the page
+            // location and title), and hits may be sent without
+            // calling collect, so the payload is also checked here
+            const hit = scrubHit(data.get('hitPayload'), scrubRules, onRedact);
+            const item: Queued = { hit, time: Date.now(), entry: collecting };
+            if (!protocol.isValid(item))
+                drop([item], 'invalid');
+            else if (!consented)
+                withhold(item);
+            else
+                enqueue(item);
+        });
+
+    if (store)
+        restore();
+
+    if (unload) {
+        invoke(globalThis, 'addEventListener', 'pagehide', sendRemaining);
+        invoke(globalThis, 'document.addEventListener', 'visibilitychange', onVisibilityChange);
+    }
+
+    function isCurrent(item: Queued): boolean {
+        return Date.now() - get(item, 'time', 0) <= protocol.maxAge;
+    }
+
+    function drop(items: Queued[], reason: DropReason) {
+        if (!items.length)
+            return;
+        const hits = items.map(item => item.hit);
+        counters.dropped[reason] += hits.length;
+        bus.fire('hit-dropped', { hits, reason });
+        invoke(options, 'onDrop', hits, reason);
+    }
+
+    function onSent(count: number, bytes: number) {
+        counters.sent += count;
+        counters.batches++;
+        counters.bytesSent += bytes;
+        bus.fire('batch-sent', { count, bytes });
+    }
+
+    function removeExpired() {
+        const expired = queue.filter(item => !isCurrent(item));
+        const current = queue.filter(isCurrent);
+        queue.splice(0, queue.length, ...current);
+        drop(expired, 'expired');
+    }
+
+    function trim() {
+        const excess = Math.max(0, queue.length - maxQueueLength);
+        const dropped = overflow === 'drop-oldest' ?
+            queue.splice(0, excess) :
+            queue.splice(queue.length - excess, excess);
+        drop(dropped, 'overflow');
+    }
+
+    async function restore() {
+        try {
+            const items = await store.get(QUEUE_KEY);
+            if (Array.isArray(items)) {
+                queue.unshift(...items);
+                removeExpired();
+                trim();
+            }
+        } catch (e) {
+            // ignore storage errors; hits
+            // will remain in memory only
+        } finally {
+            restored.set();
+            persist();
             scheduleSend();
         }
-    });
+    }
+
+    async function persist() {
+        if (!store)
+            return;
+        await restored.ready();
+        try {
+            await store.set(QUEUE_KEY, queue.slice());
+        } catch (e) {
+            // ignore storage errors; hits
+            // will remain in memory only
+        }
+    }
+
+    function enqueue(item: Queued) {
+        if (queue.length >= maxQueueLength) {
+            if (overflow === 'reject')
+                return drop([item], 'overflow');
+            const index = overflow === 'drop-oldest' ? 0 : queue.length - 1;
+            drop(queue.splice(index, 1), 'overflow');
+        }
+        queue.push(item);
+        persist();
+        scheduleSend();
+    }
+
+    function scheduleRetry(attempt: number) {
+        if (disposed)
+            return;
+        const delay = backoff(attempt, baseDelay, maxDelay);
+        clearTimeout(retry);
+        retryAt = Date.now() + delay;
+        retry = setTimeout(() => {
+            retryAt = 0;
+            scheduleSend();
+        }, delay);
+    }
+
+    function onSendFailed(payload: Queued[], e: any) {
+        const retrying = canRetry(e);
+        bus.fire('batch-failed', { count: payload.length, error: e, retrying });
+        if (!retrying)
+            return drop(payload, 'permanent');
+        if (!consented)
+            return drop(payload, 'consent');
+        payload.forEach(item => item.attempts = (item.attempts || 0) + 1);
+        const failed = payload.filter(item => item.attempts >= maxAttempts);
+        const pending = payload.filter(item => item.attempts < maxAttempts);
+        drop(failed, 'max-attempts');
+        if (!pending.length)
+            return;
+        counters.retried += pending.length;
+        queue.unshift(...pending);
+        trim();
+        scheduleRetry(Math.max(...pending.map(item => item.attempts)));
+    }
 
     // allows consumers to use buffer(...); collates
     // all calls within this frame so multiple data
@@ -234,40 +1683,412 @@ export function googleAnalytics(send: SendFunction): GoogleTrackingSubscriber {
         if (scheduled)
             return;
         scheduled = true;
-        setTimeout(createPayload);
+        setTimeout(() => createPayload());
     }
 
-    async function createPayload() {
+    // new hits do not trigger a send while a retry is
+    // pending; otherwise, the backoff delay would be
+    // skipped and unrelated traffic would use up the
+    // failed hits' attempts
+    async function createPayload(force = false): Promise<boolean> {
+        await restored.ready();
         await sending.ready();
         scheduled = false;
-        const index = indexBySize(queue, MAX_BATCH_SIZE_KB);
-        const payload = queue.splice(0, Math.min(MAX_HITS_PER_BATCH, index));
+        if (!force && (disposed || Date.now() < retryAt)) {
+            sending.set();
+            return false;
+        }
+        removeExpired();
+        const payload = queue.splice(0, protocol.count(queue));
+        if (!payload.length) {
+            sending.set();
+            return false;
+        }
         try {
-            await send(payload.join('\n'), operation);
+            onSent(payload.length, await transmit(payload, Date.now()));
+            return true;
         } catch (e) {
-            queue.unshift(...payload);
+            onSendFailed(payload, e);
+            return false;
         } finally {
+            persist();
             sending.set();
+            // batches may be split by size, count or identity,
+            // and failed batches may be dropped, so any remaining
+            // hits are sent in the next frame (or once the retry
+            // delay has elapsed)
+            if (queue.length)
+                scheduleSend();
+        }
+    }
+
+    function report(batch: Queued[], results: ValidationMessage[][]) {
+        batch.forEach(({ hit, entry }, i) => {
+            const messages = get(results, i, []);
+            if (messages.length)
+                invoke(debug, 'onInvalidHit', { hit, entry, messages });
+        });
+    }
+
+    async function transmit(payload: Queued[], now: number): Promise<number> {
+        if (validator === 'remote') {
+            let bytes = 0;
+            const batches = protocol.batched ? [payload] : payload.map(item => [item]);
+            for (const batch of batches) {
+                const body = protocol.serialize(batch, now);
+                const response = await send(body, protocol.validation);
+                report(batch, protocol.parse(batch, response));
+                bytes += body.length;
+            }
+            return bytes;
         }
+        if (validator === 'local')
+            report(payload, payload.map(protocol.check));
+        const body = protocol.serialize(payload, now);
+        await send(body, protocol.operation);
+        return body.length;
+    }
+
+    function dispatch(payload: Queued[]): boolean {
+        const body = protocol.serialize(payload, Date.now());
+        const { protocol: scheme, host, path } = protocol.operation;
+        if (unload === 'beacon') {
+            const queued = !!invoke(globalThis, 'navigator.sendBeacon', `${scheme}://${host}/${path}`, body);
+            if (queued)
+                onSent(payload.length, body.length);
+            return queued;
+        }
+        const operation = Object.assign({}, protocol.operation, { keepalive: true });
+        Promise.resolve()
+            .then(() => send(body, operation))
+            .then(() => onSent(payload.length, body.length))
+            .catch((e) => {
+                bus.fire('batch-failed', { count: payload.length, error: e, retrying: consented });
+                if (!consented)
+                    return drop(payload, 'consent');
+                counters.retried += payload.length;
+                queue.unshift(...payload);
+                persist();
+            });
+        return true;
+    }
+
+    // the page may be going away, so we cannot wait
+    // for any in-flight batch to complete; instead,
+    // dispatch all remaining batches synchronously
+    function sendRemaining() {
+        release();
+        removeExpired();
+        while (queue.length) {
+            const payload = queue.splice(0, protocol.count(queue));
+            if (!payload.length || !dispatch(payload)) {
+                queue.unshift(...payload);
+                break;
+            }
+        }
+        persist();
+    }
+
+    function onVisibilityChange() {
+        if (get(globalThis, 'document.visibilityState') === 'hidden')
+            sendRemaining();
+    }
+
+    // entries may be limited again when their delay ends,
+    // so only count entries the first time they're delayed
+    function limit(entry: TrackingInfo, delayed: boolean): any {
+        if (limiting === 'drop')
+            return drop([{ hit: entry, time: Date.now() }], 'rate-limited');
+        if (!delayed) {
+            counters.throttled++;
+            bus.fire('throttled', { entry });
+        }
+        if (limiting === 'coalesce' && get(entry, 'type') === 'event')
+            return merge(entry);
+        return throttle(entry);
+    }
+
+    // events that map to identical hits (ignoring their
+    // values) are merged into a single entry, which is
+    // collected once the window closes; this prevents
+    // chatty components from using all available slots
+    function merge(entry: TrackingInfo): any {
+        const hit = protocol.convert(entry, mappers, names);
+        if (!hit)
+            return throttle(entry);
+        const key = asCoalesceKey(hit, protocol.varying);
+        const existing = find(throttled, { key });
+        if (existing) {
+            existing.entry = coalesce(existing.entry, entry);
+            return existing.token;
+        }
+        const item: Throttled = { entry, key };
+        item.token = setTimeout(() => {
+            pull(throttled, item);
+            accept(item.entry, true);
+        }, WINDOW);
+        throttled.push(item);
+        return item.token;
+    }
+
+    function throttle(entry: TrackingInfo): any {
+        const item: Throttled = { entry };
+        item.token = setTimeout(() => {
+            pull(throttled, item);
+            accept(entry, true);
+        }, SLOT_INTERVAL);
+        throttled.push(item);
+        return item.token;
+    }
+
+    function release() {
+        throttled.splice(0).forEach(({ entry, token }) => {
+            clearTimeout(token);
+            if (permitted(entry))
+                convert(entry);
+        });
+    }
+
+    function convert(original: TrackingInfo): boolean {
+        const entry = scrubEntry(original, scrubRules, onRedact);
+        const converted = isMeasurement ?
+            convertEvent(entry, original) :
+            convertHit(entry, original);
+        if (!converted)
+            drop([{ hit: original, time: Date.now() }], 'unmapped');
+        return converted;
+    }
+
+    function convertHit(entry: TrackingInfo, original: TrackingInfo): boolean {
+        const hit = protocol.convert(entry, mappers, names);
+        if (!!hit) {
+            // analytics.js invokes our sendHitTask synchronously,
+            // so we can associate the hit with its original entry
+            collecting = debug ? original : undefined;
+            invoke(globalThis, 'ga', 'send', hit);
+            collecting = undefined;
+        }
+        return !!hit;
+    }
+
+    function convertEvent(entry: TrackingInfo, original: TrackingInfo): boolean {
+        const event = protocol.convert(entry, mappers, names);
+        if (!event)
+            return false;
+        const item: Queued = {
+            hit: event,
+            time: Date.now(),
+            entry: debug ? original : undefined,
+            client_id: resolve(clientId),
+            user_id: resolve(get(options, 'userId')),
+        };
+        if (protocol.isValid(item))
+            enqueue(item);
+        else
+            drop([item], 'invalid');
+        return true;
+    }
+
+    function withhold(item: Queued) {
+        if (consentMode === 'drop')
+            return drop([item], 'consent');
+        held.push(item);
+    }
+
+    function permitted(entry: TrackingInfo): boolean {
+        if (!consented)
+            withhold({ hit: entry, time: Date.now() });
+        return consented;
+    }
+
+    // revoking consent purges everything not yet sent,
+    // including delayed entries and queued hits; hits
+    // in a batch already being sent cannot be recalled
+    function purge(items: Queued[]) {
+        const delayed = throttled.splice(0).map(({ entry, token }) => {
+            clearTimeout(token);
+            return { hit: entry, time: Date.now() };
+        });
+        drop(items.concat(delayed, queue.splice(0)), 'consent');
+        persist();
+    }
+
+    // held items are either tracking entries passed to
+    // collect or hit payloads sent directly through ga
+    function setConsent(granted: boolean) {
+        consented = !!granted;
+        const items = held.splice(0);
+        if (!consented)
+            return purge(items);
+        items.forEach(item => isString(item.hit) ?
+            enqueue(item) :
+            collect(item.hit as TrackingInfo));
     }
 
     function collect(entry: TrackingInfo): any {
-        if (disposed)
+        return accept(entry, false);
+    }
+
+    function accept(entry: TrackingInfo, delayed: boolean): any {
+        if (disposed || !permitted(entry))
             return;
         if (slots < 1)
-            return setTimeout(collect, SLOT_INTERVAL, entry);
-        const hit = convertToHit(entry);
-        if (!!hit) {
+            return limit(entry, delayed);
+        if (convert(entry))
             slots--;
-            invoke(globalThis, 'ga', 'send', hit);
-        }
+    }
+
+    async function flush(): Promise<void> {
+        release();
+        await restored.ready();
+        let sent = true;
+        while (sent && queue.length)
+            sent = await createPayload(true);
+    }
+
+    function stats(): CollectorStats {
+        return {
+            queued: queue.length,
+            held: held.length,
+            sent: counters.sent,
+            batches: counters.batches,
+            retried: counters.retried,
+            throttled: counters.throttled,
+            bytesSent: counters.bytesSent,
+            dropped: Object.assign({}, counters.dropped),
+        };
     }
 
     return Object.assign(collect, {
-        dispose() {
+        bus,
+        stats,
+        flush,
+        setConsent,
+        async dispose() {
             disposed = true;
             clearInterval(token);
+            if (unload) {
+                invoke(globalThis, 'removeEventListener', 'pagehide', sendRemaining);
+                invoke(globalThis, 'document.removeEventListener', 'visibilitychange', onVisibilityChange);
+            }
+            await flush();
+            clearTimeout(retry);
         }
     });
 
 }
+
+/**
+ * Options used to configure {@link watchNavigation}.
+ *
+ * @example
+ * ```js
+ * const stop = watchNavigation(collector, {
+ *   stripQuery: true,
+ *   stripIds: true,
+ *   normalize: (page) => page.toLowerCase(),
+ * });
+ * ```
+ */
+export interface NavigationOptions {
+
+    /** Whether to remove the query string and hash from the page path. Default is `false`. */
+    stripQuery?: boolean
+
+    /**
+     * Whether to replace numeric and UUID path segments with `:id` (e.g. `/users/123/edit`
+     * becomes `/users/:id/edit`). Default is `false`.
+     */
+    stripIds?: boolean
+
+    /** Optional function to further normalize the page path before it is sent. */
+    normalize?: (page: string) => string
+
+}
+
+/**
+ * Watches for single-page application navigation (through the History API's `pushState`
+ * method and the `popstate` event) and invokes the given collector with a {@link TrackingInfo}
+ * describing the new page. The current page is collected immediately.
+ *
+ * Collected entries have the type `'event'` and include `page`, `title` and `location` in their
+ * data, so {@link googleAnalytics} will convert them into pageview hits.
+ *
+ * @param collector The collector to invoke when the page changes.
+ * @param options Optional settings used to normalize page paths.
+ * @returns A function that stops watching for navigation.
+ * @example
+ * ```js
+ * const collector = googleAnalytics(send);
+ * const stop = watchNavigation(collector, { stripIds: true });
+ *
+ * // later:
+ * stop();
+ * ```
+ */
+export function watchNavigation(collector: TrackingSubscriber, options: NavigationOptions = {}): VoidFunction {
+
+    if (!(isFunction(collector)))
+        throw error('A `collector` function must be provided.', fatal());
+
+    const history: History = get(globalThis, 'history');
+    const location: Location = get(globalThis, 'location');
+
+    if (!history || !location || !isFunction(get(globalThis, 'addEventListener')))
+        return function stop() {};
+
+    let last: string;
+
+    const pushState = history.pushState;
+
+    function normalize(path: string): string {
+        let page = path;
+        if (get(options, 'stripQuery'))
+            page = page.replace(rxQueryString, '');
+        if (get(options, 'stripIds'))
+            page = page.replace(rxIdSegment, '/:id');
+        if (isFunction(get(options, 'normalize')))
+            page = options.normalize(page);
+        return page;
+    }
+
+    function track() {
+        const page = normalize(`${location.pathname}${location.search}${location.hash}`);
+        if (page === last)
+            return;
+        last = page;
+        const now = Date.now();
+        collector({
+            id: `${now}.${Math.random()}`,
+            type: 'event',
+            label: 'page_view',
+            start: now,
+            stop: now,
+            duration: 0,
+            count: 1,
+            data: {
+                page,
+                title: get(globalThis, 'document.title'),
+                location: `${location.origin}${page}`,
+            },
+        } as TrackingInfo);
+    }
+
+    function onPushState(this: History, ...args: any[]) {
+        const result = pushState.apply(this, args);
+        setTimeout(track);
+        return result;
+    }
+
+    history.pushState = onPushState;
+    globalThis.addEventListener('popstate', track);
+
+    track();
+
+    return function stop() {
+        if (history.pushState === onPushState)
+            history.pushState = pushState;
+        globalThis.removeEventListener('popstate', track);
+    };
+
+}
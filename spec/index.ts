@@ -1,7 +1,14 @@
 import * as expect from 'expect';
 import { Spy, spy } from '@paychex/core/test';
 
-import { googleAnalytics, GoogleTrackingSubscriber } from '../index';
+import {
+    googleAnalytics,
+    watchNavigation,
+    createMapperRegistry,
+    MapperRegistry,
+    GoogleAnalyticsOptions,
+    GoogleTrackingSubscriber,
+} from '../index';
 import { TrackingInfo } from '@paychex/core/types/trackers';
 
 describe('collectors', () => {
@@ -128,6 +135,8 @@ describe('collectors', () => {
         });
 
         it('re-enqueues hits when send fails', (done) => {
+            collector.dispose();
+            collector = googleAnalytics(send, { retry: { baseDelay: 20 } });
             send.onCall(0).throws(new Error());
             collector(event);
             setTimeout(() => {
@@ -137,7 +146,7 @@ describe('collectors', () => {
                     expect(send.callCount).toBe(2);
                     expect(send.args[0]).toBe(`${hit}\n${hit}`);
                     done();
-                });
+                }, 40);
             });
         });
 
@@ -204,6 +213,1788 @@ describe('collectors', () => {
             });
         });
 
+        it('converts page data to pageview', (done) => {
+            collector({ type: 'event', data: { page: '/home', title: 'Home', dimension1: 'a' } } as any);
+            setTimeout(() => {
+                expect(ga.args[1]).toEqual(expect.objectContaining({
+                    hitType: 'pageview',
+                    page: '/home',
+                    title: 'Home',
+                    dimension1: 'a',
+                }));
+                done();
+            });
+        });
+
+        it('converts pageview type to pageview', (done) => {
+            collector({ type: 'pageview', label: '/home' } as any);
+            setTimeout(() => {
+                expect(ga.args[1]).toEqual(expect.objectContaining({
+                    hitType: 'pageview',
+                    page: '/home',
+                }));
+                done();
+            });
+        });
+
+        it('converts screen data to screenview', (done) => {
+            collector({ type: 'event', data: { screenName: 'Home', appName: 'app' } } as any);
+            setTimeout(() => {
+                expect(ga.args[1]).toEqual(expect.objectContaining({
+                    hitType: 'screenview',
+                    screenName: 'Home',
+                    appName: 'app',
+                }));
+                done();
+            });
+        });
+
+        it('includes metrics, content groups and campaign fields', (done) => {
+            collector({
+                type: 'event',
+                data: {
+                    metric1: '5',
+                    contentGroup2: 'docs',
+                    campaignSource: 'email',
+                    metric: 1,
+                },
+            } as any);
+            setTimeout(() => {
+                expect(ga.args[1]).toEqual(expect.objectContaining({
+                    metric1: 5,
+                    contentGroup2: 'docs',
+                    campaignSource: 'email',
+                }));
+                expect(ga.args[1]).not.toHaveProperty('metric');
+                done();
+            });
+        });
+
+        it('uses dimension and metric name maps', (done) => {
+            collector.dispose();
+            collector = googleAnalytics(send, {
+                dimensions: { tenantId: 'dimension3' },
+                metrics: { items: 'metric1' },
+            });
+            collector({ type: 'event', data: { tenantId: 'abc', items: '2' } } as any);
+            setTimeout(() => {
+                expect(ga.args[1]).toEqual(expect.objectContaining({
+                    dimension3: 'abc',
+                    metric1: 2,
+                }));
+                expect(ga.args[1]).not.toHaveProperty('tenantId');
+                done();
+            });
+        });
+
+        it('converts ecommerce data', (done) => {
+            collector({
+                type: 'event',
+                label: 'checkout',
+                data: {
+                    currency: 'USD',
+                    transaction: { id: 'T1', revenue: 30, tax: 2 },
+                    products: [
+                        { id: 'P1', name: 'Pen', price: 10, quantity: 1 },
+                        { id: 'P2', price: 20, quantity: 1 },
+                    ],
+                },
+            } as any);
+            setTimeout(() => {
+                expect(ga.args[1]).toEqual(expect.objectContaining({
+                    'hitType': 'event',
+                    'eventAction': 'checkout',
+                    '&pa': 'purchase',
+                    '&cu': 'USD',
+                    '&ti': 'T1',
+                    '&tr': 30,
+                    '&tt': 2,
+                    '&pr1id': 'P1',
+                    '&pr1nm': 'Pen',
+                    '&pr1pr': 10,
+                    '&pr1qt': 1,
+                    '&pr2id': 'P2',
+                    '&pr2pr': 20,
+                }));
+                expect(ga.args[1]).not.toHaveProperty('&pr2nm');
+                done();
+            });
+        });
+
+        it('uses product action', (done) => {
+            collector({ type: 'event', data: { productAction: 'add', products: [{ id: 'P1' }] } } as any);
+            setTimeout(() => {
+                expect(ga.args[1]).toEqual(expect.objectContaining({
+                    '&pa': 'add',
+                    '&pr1id': 'P1',
+                }));
+                done();
+            });
+        });
+
+        describe('mappers', () => {
+
+            let mappers: MapperRegistry;
+
+            beforeEach(() => {
+                collector.dispose();
+                mappers = createMapperRegistry();
+            });
+
+            it('throws if mapper not a function', () => {
+                expect(() => mappers.register('event', null)).toThrow();
+            });
+
+            it('throws if protocol not valid', () => {
+                expect(() => mappers.register('event', spy(), 'unknown' as any)).toThrow();
+            });
+
+            it('uses registered mapper for custom type', (done) => {
+                mappers.register('social', (entry) => ({
+                    hitType: 'social',
+                    socialAction: entry.label,
+                }));
+                collector = googleAnalytics(send, { mappers });
+                collector({ type: 'social', label: 'like', data: { dimension1: 'a' } } as any);
+                setTimeout(() => {
+                    expect(ga.args[1]).toEqual({
+                        hitType: 'social',
+                        socialAction: 'like',
+                        dimension1: 'a',
+                    });
+                    done();
+                });
+            });
+
+            it('overrides built-in mapper', (done) => {
+                mappers.register('event', () => ({ hitType: 'custom' }));
+                collector = googleAnalytics(send, { mappers });
+                collector(event);
+                setTimeout(() => {
+                    expect(ga.args[1]).toEqual({ hitType: 'custom' });
+                    done();
+                });
+            });
+
+            it('falls through to built-in mapper', (done) => {
+                const mapper = spy();
+                mappers.register('event', mapper);
+                collector = googleAnalytics(send, { mappers });
+                collector(event);
+                setTimeout(() => {
+                    expect(mapper.called).toBe(true);
+                    expect(ga.args[1]).toEqual(expect.objectContaining({ hitType: 'event' }));
+                    done();
+                });
+            });
+
+            it('unregisters mapper', () => {
+                const unregister = mappers.register('event', () => ({ hitType: 'custom' }));
+                unregister();
+                expect(mappers.map(event)).toEqual(expect.objectContaining({ hitType: 'event' }));
+            });
+
+            it('returns undefined for unknown types', () => {
+                expect(mappers.map({ type: 'unknown' } as any)).toBeUndefined();
+                expect(mappers.map({ type: 'constructor' } as any)).toBeUndefined();
+            });
+
+            it('maps measurement events', () => {
+                expect(mappers.map(error, 'measurement')).toEqual(expect.objectContaining({
+                    name: 'exception',
+                }));
+            });
+
+        });
+
+        it('flushes all pending hits', async () => {
+            Array(30).fill(event).forEach(collector);
+            await collector.flush();
+            expect(send.callCount).toBe(2);
+            expect(send.calls[0].args[0].split('\n').length).toBe(20);
+            expect(send.calls[1].args[0].split('\n').length).toBe(10);
+        });
+
+        it('stops flushing when batch fails', async () => {
+            send.throws(new Error());
+            collector(event);
+            await collector.flush();
+            expect(send.callCount).toBe(1);
+        });
+
+        it('flushes pending hits on dispose', async () => {
+            collector(event);
+            await collector.dispose();
+            expect(send.args[0]).toBe(hit);
+        });
+
+        it('does not retry after dispose', async () => {
+            collector.dispose();
+            collector = googleAnalytics(send, { retry: { baseDelay: 5 } });
+            send.throws(new Error());
+            collector(event);
+            await collector.dispose();
+            expect(send.callCount).toBe(1);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(send.callCount).toBe(1);
+        });
+
+        describe('unload', () => {
+
+            let sendBeacon: Spy,
+                navigator: PropertyDescriptor,
+                listeners: Record<string, Function>;
+
+            const env = globalThis as any;
+            const on = () => spy().invokes((name: string, fn: Function) => listeners[name] = fn);
+            const off = () => spy().invokes((name: string) => delete listeners[name]);
+
+            beforeEach(() => {
+                collector.dispose();
+                listeners = {};
+                sendBeacon = spy().returns(true);
+                navigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+                Object.defineProperty(globalThis, 'navigator', {
+                    configurable: true,
+                    writable: true,
+                    value: { sendBeacon },
+                });
+                env.addEventListener = on();
+                env.removeEventListener = off();
+                env.document = {
+                    visibilityState: 'visible',
+                    addEventListener: on(),
+                    removeEventListener: off(),
+                };
+            });
+
+            afterEach(() => {
+                delete env.navigator;
+                if (navigator)
+                    Object.defineProperty(globalThis, 'navigator', navigator);
+                delete env.addEventListener;
+                delete env.removeEventListener;
+                delete env.document;
+            });
+
+            it('sends remaining hits using sendBeacon on pagehide', () => {
+                collector = googleAnalytics(send, { unload: 'beacon' });
+                collector(event);
+                listeners.pagehide();
+                expect(sendBeacon.args).toEqual(['https://www.google-analytics.com/batch', hit]);
+            });
+
+            it('sends remaining hits when page hidden', () => {
+                collector = googleAnalytics(send, { unload: 'beacon' });
+                collector(event);
+                listeners.visibilitychange();
+                expect(sendBeacon.called).toBe(false);
+                env.document.visibilityState = 'hidden';
+                listeners.visibilitychange();
+                expect(sendBeacon.called).toBe(true);
+            });
+
+            it('keeps hits if sendBeacon fails', (done) => {
+                sendBeacon.returns(false);
+                collector = googleAnalytics(send, { unload: 'beacon' });
+                collector(event);
+                listeners.pagehide();
+                setTimeout(() => {
+                    expect(send.args[0]).toBe(hit);
+                    done();
+                });
+            });
+
+            it('sends remaining hits using keepalive', async () => {
+                collector = googleAnalytics(send, { unload: 'keepalive' });
+                collector(event);
+                listeners.pagehide();
+                await Promise.resolve();
+                expect(send.args).toEqual([
+                    hit,
+                    expect.objectContaining({
+                        path: 'batch',
+                        keepalive: true,
+                    }),
+                ]);
+            });
+
+            it('re-enqueues hits if keepalive send fails', (done) => {
+                send.onCall(0).throws(new Error());
+                collector = googleAnalytics(send, { unload: 'keepalive' });
+                collector(event);
+                listeners.pagehide();
+                setTimeout(() => {
+                    expect(send.callCount).toBe(2);
+                    expect(send.args[0]).toBe(hit);
+                    done();
+                });
+            });
+
+            it('drops hits if keepalive send fails after consent revoked', (done) => {
+                const onDrop = spy();
+                send.onCall(0).throws(new Error());
+                collector = googleAnalytics(send, { onDrop, unload: 'keepalive' });
+                collector(event);
+                listeners.pagehide();
+                collector.setConsent(false);
+                setTimeout(() => {
+                    expect(send.callCount).toBe(1);
+                    expect(onDrop.args).toEqual([[hit], 'consent']);
+                    done();
+                });
+            });
+
+            it('stops listening on dispose', async () => {
+                collector = googleAnalytics(send, { unload: 'beacon' });
+                await collector.dispose();
+                expect(listeners).toEqual({});
+            });
+
+        });
+
+        describe('consent', () => {
+
+            let onDrop: Spy;
+
+            beforeEach(() => {
+                onDrop = spy();
+                collector.dispose();
+            });
+
+            it('holds items until consent granted', (done) => {
+                collector = googleAnalytics(send, { consent: {} });
+                collector(event);
+                setTimeout(() => {
+                    expect(send.called).toBe(false);
+                    collector.setConsent(true);
+                    setTimeout(() => {
+                        expect(send.args[0]).toBe(hit);
+                        done();
+                    });
+                });
+            });
+
+            it('sends items if consent already granted', (done) => {
+                collector = googleAnalytics(send, { consent: { granted: true } });
+                collector(event);
+                setTimeout(() => {
+                    expect(send.args[0]).toBe(hit);
+                    done();
+                });
+            });
+
+            it('purges held items when consent revoked', (done) => {
+                collector = googleAnalytics(send, { onDrop, consent: {} });
+                collector(event);
+                collector.setConsent(false);
+                collector.setConsent(true);
+                setTimeout(() => {
+                    expect(send.called).toBe(false);
+                    expect(onDrop.args).toEqual([[event], 'consent']);
+                    done();
+                });
+            });
+
+            it('holds items after consent revoked', (done) => {
+                collector = googleAnalytics(send, { consent: { granted: true } });
+                collector.setConsent(false);
+                collector(event);
+                setTimeout(() => {
+                    expect(send.called).toBe(false);
+                    done();
+                });
+            });
+
+            it('drops pending items if specified', (done) => {
+                collector = googleAnalytics(send, { onDrop, consent: { pending: 'drop' } });
+                collector(event);
+                collector.setConsent(true);
+                setTimeout(() => {
+                    expect(send.called).toBe(false);
+                    expect(onDrop.args).toEqual([[event], 'consent']);
+                    done();
+                });
+            });
+
+            it('purges queued hits when consent revoked', async () => {
+                collector = googleAnalytics(send, { onDrop });
+                collector(event);
+                collector.setConsent(false);
+                await collector.flush();
+                expect(send.called).toBe(false);
+                expect(onDrop.args).toEqual([[hit], 'consent']);
+                expect(collector.stats().queued).toBe(0);
+            });
+
+            it('drops failed hits when consent revoked during send', (done) => {
+                send.onCall(0).invokes(() => new Promise((_, reject) => setTimeout(reject, 10, new Error())));
+                collector = googleAnalytics(send, { onDrop, retry: { baseDelay: 5 } });
+                collector(event);
+                setTimeout(() => {
+                    collector.setConsent(false);
+                    setTimeout(() => {
+                        expect(send.callCount).toBe(1);
+                        expect(onDrop.args).toEqual([[hit], 'consent']);
+                        done();
+                    }, 40);
+                });
+            });
+
+            it('holds hits sent directly through ga', (done) => {
+                collector = googleAnalytics(send, { consent: {} });
+                enqueue({ get: () => hit });
+                setTimeout(() => {
+                    expect(send.called).toBe(false);
+                    expect(collector.stats().held).toBe(1);
+                    collector.setConsent(true);
+                    setTimeout(() => {
+                        expect(send.args[0]).toBe(hit);
+                        done();
+                    });
+                });
+            });
+
+        });
+
+        describe('scrub', () => {
+
+            let onRedact: Spy;
+
+            beforeEach(() => {
+                onRedact = spy();
+                collector.dispose();
+            });
+
+            it('redacts built-in detectors', (done) => {
+                collector = googleAnalytics(send, { scrub: true });
+                collector({
+                    type: 'event',
+                    label: 'contact a.b@c.com',
+                    data: {
+                        dimension1: 'call (555) 123-4567',
+                        dimension2: 'ssn 123-45-6789',
+                        dimension3: 'value',
+                    },
+                } as any);
+                setTimeout(() => {
+                    expect(ga.args[1]).toEqual(expect.objectContaining({
+                        eventAction: 'contact [REDACTED]',
+                        dimension1: 'call [REDACTED]',
+                        dimension2: 'ssn [REDACTED]',
+                        dimension3: 'value',
+                    }));
+                    done();
+                });
+            });
+
+            it('redacts encoded emails in page urls', (done) => {
+                collector = googleAnalytics(send, { scrub: true });
+                collector({ type: 'event', data: { page: '/users/a%40b.com' } } as any);
+                setTimeout(() => {
+                    expect(ga.args[1]).toEqual(expect.objectContaining({
+                        hitType: 'pageview',
+                        page: '/users/[REDACTED]',
+                    }));
+                    done();
+                });
+            });
+
+            it('records which rule redacted each field', (done) => {
+                collector = googleAnalytics(send, { scrub: { onRedact } });
+                collector({ type: 'event', label: 'a@b.com', data: { dimension1: '555-123-4567' } } as any);
+                setTimeout(() => {
+                    expect(onRedact.args[0]).toEqual([
+                        { field: 'label', rule: 'email' },
+                        { field: 'data.dimension1', rule: 'phone' },
+                    ]);
+                    done();
+                });
+            });
+
+            it('uses specified detectors and custom rules', (done) => {
+                collector = googleAnalytics(send, {
+                    scrub: {
+                        onRedact,
+                        detectors: ['email'],
+                        rules: [{ name: 'account', pattern: /acct-\d+/i, replacement: 'ACCT' }],
+                    },
+                });
+                collector({ type: 'event', label: 'acct-1 and ACCT-2 555-123-4567' } as any);
+                setTimeout(() => {
+                    expect(ga.args[1]).toEqual(expect.objectContaining({
+                        eventAction: 'ACCT and ACCT 555-123-4567',
+                    }));
+                    expect(onRedact.args[0]).toEqual([{ field: 'label', rule: 'account' }]);
+                    done();
+                });
+            });
+
+            it('redacts parameters added by analytics.js', (done) => {
+                hit = 'ea=action&dl=https%3A%2F%2Fapp.com%2F%3Fto%3Da%40b.com&dt=Home';
+                collector = googleAnalytics(send, { scrub: { onRedact } });
+                collector(event);
+                setTimeout(() => {
+                    const scrubbed = 'ea=action&dl=https%3A%2F%2Fapp.com%2F%3Fto%3D%5BREDACTED%5D&dt=Home';
+                    expect(send.args[0]).toBe(scrubbed);
+                    expect(onRedact.args).toEqual([[{ field: 'dl', rule: 'email' }], scrubbed]);
+                    done();
+                });
+            });
+
+            it('does not change items without personal information', (done) => {
+                const entry = { type: 'event', label: 'click', data: { dimension1: 'value' } } as any;
+                collector = googleAnalytics(send, { scrub: { onRedact } });
+                collector(entry);
+                setTimeout(() => {
+                    expect(ga.args[1]).toEqual(expect.objectContaining({
+                        eventAction: 'click',
+                        dimension1: 'value',
+                    }));
+                    expect(send.args[0]).toBe(hit);
+                    expect(onRedact.called).toBe(false);
+                    done();
+                });
+            });
+
+            it('does not modify original entry', (done) => {
+                const entry = { type: 'event', label: 'a@b.com', data: {} } as any;
+                collector = googleAnalytics(send, { scrub: { onRedact } });
+                collector(entry);
+                setTimeout(() => {
+                    expect(entry.label).toBe('a@b.com');
+                    expect(onRedact.args[1].label).toBe('[REDACTED]');
+                    done();
+                });
+            });
+
+        });
+
+        describe('debug', () => {
+
+            let onInvalidHit: Spy;
+
+            const valid = { hitParsingResult: [{ valid: true, parserMessage: [] }] };
+
+            beforeEach(() => {
+                onInvalidHit = spy();
+                collector.dispose();
+            });
+
+            it('sends each hit to validation endpoint', (done) => {
+                send.returns(Promise.resolve({ data: valid }));
+                collector = googleAnalytics(send, { debug: true });
+                collector(event);
+                collector(timer);
+                setTimeout(() => {
+                    expect(send.callCount).toBe(2);
+                    expect(send.calls[0].args).toEqual([hit, expect.objectContaining({
+                        path: 'debug/collect',
+                        host: 'www.google-analytics.com',
+                    })]);
+                    done();
+                });
+            });
+
+            it('reports invalid hits with original entry', (done) => {
+                send.returns(Promise.resolve(JSON.stringify({
+                    hitParsingResult: [{
+                        valid: false,
+                        parserMessage: [{
+                            messageType: 'ERROR',
+                            description: 'A value is required for parameter \'tid\'.',
+                            messageCode: 'VALUE_REQUIRED',
+                            parameter: 'tid',
+                        }],
+                    }],
+                })));
+                collector = googleAnalytics(send, { debug: { onInvalidHit } });
+                collector(event);
+                setTimeout(() => {
+                    expect(onInvalidHit.callCount).toBe(1);
+                    expect(onInvalidHit.args[0]).toEqual({
+                        hit,
+                        entry: event,
+                        messages: [{
+                            type: 'ERROR',
+                            description: 'A value is required for parameter \'tid\'.',
+                            parameter: 'tid',
+                        }],
+                    });
+                    done();
+                });
+            });
+
+            it('does not report valid hits', (done) => {
+                send.returns(Promise.resolve(valid));
+                collector = googleAnalytics(send, { debug: { onInvalidHit } });
+                collector(event);
+                setTimeout(() => {
+                    expect(send.called).toBe(true);
+                    expect(onInvalidHit.called).toBe(false);
+                    done();
+                });
+            });
+
+            it('validates hits locally', (done) => {
+                collector = googleAnalytics(send, { debug: { onInvalidHit, validator: 'local' } });
+                collector(event);
+                setTimeout(() => {
+                    expect(send.args[1]).toEqual(expect.objectContaining({ path: 'batch' }));
+                    expect(onInvalidHit.args[0].entry).toBe(event);
+                    expect(onInvalidHit.args[0].messages.map((m: any) => m.parameter))
+                        .toEqual(['v', 't', 'tid', 'cid']);
+                    done();
+                });
+            });
+
+            it('checks field lengths locally', (done) => {
+                hit = `v=1&t=event&tid=UA-1&cid=1&cd3=ok&ec=${Array(152).join('x')}`;
+                collector = googleAnalytics(send, { debug: { onInvalidHit, validator: 'local' } });
+                collector(event);
+                setTimeout(() => {
+                    expect(onInvalidHit.args[0].messages).toEqual([
+                        expect.objectContaining({ parameter: 'ec' }),
+                    ]);
+                    done();
+                });
+            });
+
+            it('checks custom dimension lengths locally', (done) => {
+                hit = `v=1&t=event&tid=UA-1&cid=1&cd1=${Array(151).join('x')}&cd2=${Array(152).join('x')}`;
+                collector = googleAnalytics(send, { debug: { onInvalidHit, validator: 'local' } });
+                collector(event);
+                setTimeout(() => {
+                    expect(onInvalidHit.args[0].messages).toEqual([
+                        expect.objectContaining({ parameter: 'cd2', description: 'The value exceeds the maximum length of 150.' }),
+                    ]);
+                    done();
+                });
+            });
+
+            it('treats parameters without values as empty', (done) => {
+                hit = 'v=1&t=event&tid&cid=1';
+                collector = googleAnalytics(send, { debug: { onInvalidHit, validator: 'local' } });
+                collector(event);
+                setTimeout(() => {
+                    expect(onInvalidHit.args[0].messages).toEqual([
+                        expect.objectContaining({ parameter: 'tid' }),
+                    ]);
+                    done();
+                });
+            });
+
+            it('ignores malformed validation responses', (done) => {
+                send.returns(Promise.resolve('<html>'));
+                collector = googleAnalytics(send, { debug: { onInvalidHit } });
+                collector(event);
+                setTimeout(() => {
+                    expect(send.called).toBe(true);
+                    expect(onInvalidHit.called).toBe(false);
+                    done();
+                });
+            });
+
+            it('does not report locally valid hits', (done) => {
+                hit = 'v=1&t=event&tid=UA-1&uid=1&ea=action';
+                collector = googleAnalytics(send, { debug: { onInvalidHit, validator: 'local' } });
+                collector(event);
+                setTimeout(() => {
+                    expect(send.called).toBe(true);
+                    expect(onInvalidHit.called).toBe(false);
+                    done();
+                });
+            });
+
+        });
+
+        describe('observability', () => {
+
+            let bus: Record<string, Spy>;
+
+            const fired = (name: string) => bus.fire.calls
+                .filter((call: any) => call.args[0] === name)
+                .map((call: any) => call.args[1]);
+
+            beforeEach(() => {
+                bus = { fire: spy(), on: spy() };
+            });
+
+            it('exposes default event bus', () => {
+                expect(collector.bus.on).toBeInstanceOf(Function);
+                expect(collector.bus.fire).toBeInstanceOf(Function);
+            });
+
+            it('returns initial stats', () => {
+                expect(collector.stats()).toEqual({
+                    queued: 0,
+                    held: 0,
+                    sent: 0,
+                    batches: 0,
+                    retried: 0,
+                    throttled: 0,
+                    bytesSent: 0,
+                    dropped: {
+                        'overflow': 0,
+                        'expired': 0,
+                        'max-attempts': 0,
+                        'permanent': 0,
+                        'consent': 0,
+                        'invalid': 0,
+                        'unmapped': 0,
+                        'rate-limited': 0,
+                    },
+                });
+            });
+
+            it('counts queued and sent hits', async () => {
+                collector(event);
+                collector(event);
+                expect(collector.stats().queued).toBe(2);
+                await collector.flush();
+                expect(collector.stats()).toEqual(expect.objectContaining({
+                    queued: 0,
+                    sent: 2,
+                    batches: 1,
+                    bytesSent: hit.length * 2 + 1,
+                }));
+            });
+
+            it('fires batch-sent', async () => {
+                collector.dispose();
+                collector = googleAnalytics(send, { bus } as any);
+                collector(event);
+                await collector.flush();
+                expect(fired('batch-sent')).toEqual([{ count: 1, bytes: hit.length }]);
+            });
+
+            it('counts and fires dropped hits', () => {
+                collector.dispose();
+                collector = googleAnalytics(send, { bus } as any);
+                collector({} as any);
+                hit = Array(9 << 10).fill(0).join('');
+                collector(event);
+                expect(collector.stats().dropped).toEqual(expect.objectContaining({
+                    invalid: 1,
+                    unmapped: 1,
+                }));
+                expect(fired('hit-dropped')).toEqual([
+                    { hits: [{}], reason: 'unmapped' },
+                    { hits: [hit], reason: 'invalid' },
+                ]);
+            });
+
+            it('counts and fires failed batches', async () => {
+                const error = new Error();
+                send.onCall(0).throws(error);
+                collector.dispose();
+                collector = googleAnalytics(send, { bus } as any);
+                collector(event);
+                await collector.flush();
+                expect(collector.stats().retried).toBe(1);
+                expect(fired('batch-failed')).toEqual([{ count: 1, error, retrying: true }]);
+            });
+
+            it('counts and fires throttled entries', () => {
+                collector.dispose();
+                collector = googleAnalytics(send, { bus } as any);
+                Array(21).fill(event).forEach(collector);
+                expect(collector.stats().throttled).toBe(1);
+                expect(fired('throttled')).toEqual([{ entry: event }]);
+            });
+
+            it('counts each delayed entry once', (done) => {
+                collector.dispose();
+                collector = googleAnalytics(send, { bus, rateLimit: { size: 1, refill: 1, interval: 10 } } as any);
+                Array(3).fill(event).forEach(collector);
+                setTimeout(() => {
+                    expect(ga.calls.filter((call: any) => call.args[0] === 'send').length).toBe(3);
+                    expect(collector.stats().throttled).toBe(2);
+                    expect(fired('throttled').length).toBe(2);
+                    done();
+                }, 60);
+            });
+
+        });
+
+        describe('rate limit', () => {
+
+            let onDrop: Spy;
+
+            const sent = () => ga.calls
+                .filter((call: any) => call.args[0] === 'send')
+                .map((call: any) => call.args[1]);
+
+            beforeEach(() => {
+                onDrop = spy();
+                collector.dispose();
+            });
+
+            it('uses specified bucket size', (done) => {
+                collector = googleAnalytics(send, { rateLimit: { size: 2 } });
+                Array(3).fill(event).forEach(collector);
+                setTimeout(() => {
+                    expect(send.args[0]).toBe(`${hit}\n${hit}`);
+                    expect(collector.stats().throttled).toBe(1);
+                    done();
+                });
+            });
+
+            it('uses specified refill rate', (done) => {
+                collector = googleAnalytics(send, { rateLimit: { size: 1, refill: 1, interval: 10 } });
+                Array(2).fill(event).forEach(collector);
+                setTimeout(() => {
+                    expect(sent().length).toBe(2);
+                    done();
+                }, 50);
+            });
+
+            it('drops items if specified', (done) => {
+                collector = googleAnalytics(send, { onDrop, rateLimit: { size: 1, overflow: 'drop' } });
+                Array(2).fill(event).forEach(collector);
+                setTimeout(() => {
+                    expect(sent().length).toBe(1);
+                    expect(onDrop.args).toEqual([[event], 'rate-limited']);
+                    expect(collector.stats().throttled).toBe(0);
+                    expect(collector.stats().dropped['rate-limited']).toBe(1);
+                    done();
+                }, 20);
+            });
+
+            it('coalesces identical events', (done) => {
+                const entry = { type: 'event', label: 'click', count: 1, data: { value: 2, dimension1: 'a' } } as any;
+                collector = googleAnalytics(send, { rateLimit: { size: 1, interval: 10, window: 20, overflow: 'coalesce' } });
+                Array(4).fill(entry).forEach(collector);
+                setTimeout(() => {
+                    const hits = sent();
+                    expect(hits.length).toBe(2);
+                    expect(hits[1]).toEqual(expect.objectContaining({
+                        eventAction: 'click',
+                        eventValue: 6,
+                        dimension1: 'a',
+                    }));
+                    done();
+                }, 60);
+            });
+
+            it('does not coalesce different events', (done) => {
+                const entry = (dimension1: string) => ({ type: 'event', label: 'click', data: { dimension1 } }) as any;
+                collector = googleAnalytics(send, { rateLimit: { size: 1, interval: 10, window: 20, overflow: 'coalesce' } });
+                [entry('a'), entry('a'), entry('b'), entry('b')].forEach(collector);
+                setTimeout(() => {
+                    const hits = sent();
+                    expect(hits.length).toBe(3);
+                    expect(hits.map((hit: any) => hit.eventValue)).toEqual([undefined, undefined, 2]);
+                    done();
+                }, 80);
+            });
+
+            it('does not coalesce events with different labels', (done) => {
+                const entry = (label: string) => ({ type: 'event', label: 'click', data: { label } }) as any;
+                collector = googleAnalytics(send, { rateLimit: { size: 1, interval: 10, window: 20, overflow: 'coalesce' } });
+                [entry('save'), entry('save'), entry('delete')].forEach(collector);
+                setTimeout(() => {
+                    const hits = sent();
+                    expect(hits.map((hit: any) => hit.eventLabel).sort()).toEqual(['delete', 'save', 'save']);
+                    expect(hits.map((hit: any) => hit.eventValue)).toEqual([undefined, undefined, undefined]);
+                    done();
+                }, 80);
+            });
+
+            it('treats non-numeric values as zero when coalescing', (done) => {
+                const entry = (value: any) => ({ type: 'event', label: 'click', data: { value } }) as any;
+                collector = googleAnalytics(send, { rateLimit: { size: 1, interval: 10, window: 20, overflow: 'coalesce' } });
+                [entry(1), entry('abc'), entry(3)].forEach(collector);
+                setTimeout(() => {
+                    const hits = sent();
+                    expect(hits.length).toBe(2);
+                    expect(hits[1].eventValue).toBe(3);
+                    done();
+                }, 60);
+            });
+
+            it('does not coalesce unmapped events', (done) => {
+                const mappers = { register: spy(), map: spy().onCall(0).returns({ hitType: 'event' }) };
+                collector = googleAnalytics(send, { onDrop, mappers, rateLimit: { size: 1, interval: 10, overflow: 'coalesce' } });
+                [event, event, event].forEach(collector);
+                setTimeout(() => {
+                    expect(onDrop.callCount).toBe(2);
+                    expect(onDrop.args).toEqual([[event], 'unmapped']);
+                    done();
+                }, 60);
+            });
+
+            it('delays non-events when coalescing', (done) => {
+                collector = googleAnalytics(send, { rateLimit: { size: 1, interval: 10, overflow: 'coalesce' } });
+                [timer, timer].forEach(collector);
+                setTimeout(() => {
+                    expect(sent().length).toBe(2);
+                    done();
+                }, 50);
+            });
+
+            it('flushes coalesced events', async () => {
+                collector = googleAnalytics(send, { rateLimit: { size: 1, overflow: 'coalesce' } });
+                Array(3).fill(event).forEach(collector);
+                await collector.flush();
+                expect(sent().length).toBe(2);
+                expect(sent()[1].eventValue).toBe(2);
+            });
+
+        });
+
+        describe('retries', () => {
+
+            let onDrop: Spy;
+
+            beforeEach(() => {
+                onDrop = spy();
+                collector.dispose();
+            });
+
+            it('retries failed batch after delay', (done) => {
+                send.onCall(0).throws(new Error());
+                collector = googleAnalytics(send, { retry: { baseDelay: 10 } });
+                collector(event);
+                setTimeout(() => {
+                    expect(send.callCount).toBe(2);
+                    expect(send.args[0]).toBe(hit);
+                    done();
+                }, 50);
+            });
+
+            it('retries 5xx errors', (done) => {
+                send.onCall(0).throws(Object.assign(new Error(), { status: 503 }));
+                collector = googleAnalytics(send, { retry: { baseDelay: 10 } });
+                collector(event);
+                setTimeout(() => {
+                    expect(send.callCount).toBe(2);
+                    done();
+                }, 50);
+            });
+
+            it('drops batch on permanent error', (done) => {
+                send.throws(Object.assign(new Error(), { status: 400 }));
+                collector = googleAnalytics(send, { onDrop, retry: { baseDelay: 10 } });
+                collector(event);
+                setTimeout(() => {
+                    expect(send.callCount).toBe(1);
+                    expect(onDrop.args).toEqual([[hit], 'permanent']);
+                    done();
+                }, 50);
+            });
+
+            it('sends remaining hits after a batch is dropped', (done) => {
+                send.onCall(0).throws(Object.assign(new Error(), { status: 400 }));
+                collector = googleAnalytics(send, { onDrop, rateLimit: { size: 30 } });
+                Array(30).fill(event).forEach(collector);
+                setTimeout(() => {
+                    expect(send.callCount).toBe(2);
+                    expect(send.args[0].split('\n').length).toBe(10);
+                    expect(onDrop.args[0].length).toBe(20);
+                    expect(collector.stats().queued).toBe(0);
+                    done();
+                }, 20);
+            });
+
+            it('sends remaining hits after a batch reaches max attempts', (done) => {
+                send.onCall(0).throws(new Error());
+                collector = googleAnalytics(send, { onDrop, retry: { maxAttempts: 1 }, rateLimit: { size: 30 } });
+                Array(30).fill(event).forEach(collector);
+                setTimeout(() => {
+                    expect(send.callCount).toBe(2);
+                    expect(onDrop.args).toEqual([expect.any(Array), 'max-attempts']);
+                    expect(collector.stats().queued).toBe(0);
+                    done();
+                }, 20);
+            });
+
+            it('uses custom isRetryable', (done) => {
+                const isRetryable = spy().returns(false);
+                send.throws(new Error());
+                collector = googleAnalytics(send, { onDrop, retry: { isRetryable, baseDelay: 10 } });
+                collector(event);
+                setTimeout(() => {
+                    expect(send.callCount).toBe(1);
+                    expect(isRetryable.called).toBe(true);
+                    expect(onDrop.args[1]).toBe('permanent');
+                    done();
+                }, 50);
+            });
+
+            it('waits for backoff delay before sending new hits', (done) => {
+                send.throws(new Error());
+                collector = googleAnalytics(send, { onDrop, retry: { baseDelay: 60000 } });
+                collector(event);
+                const interval = setInterval(collector, 5, event);
+                setTimeout(() => {
+                    clearInterval(interval);
+                    expect(send.callCount).toBe(1);
+                    expect(onDrop.called).toBe(false);
+                    done();
+                }, 50);
+            });
+
+            it('flushes hits waiting to be retried', async () => {
+                send.onCall(0).throws(new Error());
+                collector = googleAnalytics(send, { retry: { baseDelay: 60000 } });
+                collector(event);
+                await new Promise(resolve => setTimeout(resolve));
+                collector(event);
+                await collector.flush();
+                expect(send.callCount).toBe(2);
+                expect(send.args[0]).toBe(`${hit}\n${hit}`);
+            });
+
+            it('drops batch after max attempts', (done) => {
+                send.throws(new Error());
+                collector = googleAnalytics(send, { onDrop, retry: { maxAttempts: 2, baseDelay: 5 } });
+                collector(event);
+                setTimeout(() => {
+                    expect(send.callCount).toBe(2);
+                    expect(onDrop.callCount).toBe(1);
+                    expect(onDrop.args).toEqual([[hit], 'max-attempts']);
+                    done();
+                }, 50);
+            });
+
+        });
+
+        describe('max queue length', () => {
+
+            let onDrop: Spy;
+
+            function collectAll() {
+                ['h1', 'h2', 'h3'].forEach(value => {
+                    hit = value;
+                    collector(event);
+                });
+            }
+
+            beforeEach(() => {
+                onDrop = spy();
+                collector.dispose();
+            });
+
+            it('drops oldest hit by default', (done) => {
+                collector = googleAnalytics(send, { onDrop, maxQueueLength: 2 });
+                collectAll();
+                setTimeout(() => {
+                    expect(send.args[0]).toBe('h2\nh3');
+                    expect(onDrop.args).toEqual([['h1'], 'overflow']);
+                    done();
+                });
+            });
+
+            it('drops newest hit', (done) => {
+                collector = googleAnalytics(send, { onDrop, maxQueueLength: 2, overflow: 'drop-newest' });
+                collectAll();
+                setTimeout(() => {
+                    expect(send.args[0]).toBe('h1\nh3');
+                    expect(onDrop.args).toEqual([['h2'], 'overflow']);
+                    done();
+                });
+            });
+
+            it('rejects new hit', (done) => {
+                collector = googleAnalytics(send, { onDrop, maxQueueLength: 2, overflow: 'reject' });
+                collectAll();
+                setTimeout(() => {
+                    expect(send.args[0]).toBe('h1\nh2');
+                    expect(onDrop.args).toEqual([['h3'], 'overflow']);
+                    done();
+                });
+            });
+
+            it('drops newest hits when failed hits are re-enqueued', (done) => {
+                send.onCall(0).invokes(() => new Promise((_, reject) => setTimeout(reject, 10, new Error())));
+                collector = googleAnalytics(send, { onDrop, maxQueueLength: 2, overflow: 'drop-newest', retry: { baseDelay: 10 } });
+                ['h1', 'h2'].forEach(value => {
+                    hit = value;
+                    collector(event);
+                });
+                setTimeout(() => {
+                    ['h3', 'h4'].forEach(value => {
+                        hit = value;
+                        collector(event);
+                    });
+                    setTimeout(() => {
+                        expect(send.args[0]).toBe('h1\nh2');
+                        expect(onDrop.args).toEqual([['h3', 'h4'], 'overflow']);
+                        done();
+                    }, 50);
+                });
+            });
+
+        });
+
+        describe('with store', () => {
+
+            let store: Record<string, Spy>;
+
+            const payload = () => send.args[0].split('\n');
+
+            beforeEach(() => {
+                collector.dispose();
+                store = {
+                    get: spy().returns(Promise.resolve()),
+                    set: spy().returns(Promise.resolve()),
+                    delete: spy().returns(Promise.resolve()),
+                };
+            });
+
+            it('restores queued hits', (done) => {
+                store.get.returns(Promise.resolve([
+                    { hit: 'ea=restored', time: Date.now() - 5000 },
+                ]));
+                collector = googleAnalytics(send, { store } as any);
+                setTimeout(() => {
+                    expect(store.get.args[0]).toBe('queue');
+                    expect(payload()).toEqual([
+                        expect.stringMatching(/^ea=restored&qt=\d{4,}$/),
+                    ]);
+                    done();
+                }, 10);
+            });
+
+            it('sends restored hits before new hits', (done) => {
+                store.get.returns(Promise.resolve([
+                    { hit: 'ea=restored', time: Date.now() },
+                ]));
+                collector = googleAnalytics(send, { store } as any);
+                collector(event);
+                setTimeout(() => {
+                    expect(payload()).toEqual([
+                        expect.stringMatching(/^ea=restored&qt=\d+$/),
+                        expect.stringMatching(new RegExp(`^${hit}&qt=\\d+$`)),
+                    ]);
+                    done();
+                }, 10);
+            });
+
+            it('drops hits older than 4 hours', (done) => {
+                store.get.returns(Promise.resolve([
+                    { hit: 'ea=expired', time: Date.now() - (5 * 60 * 60 * 1000) },
+                    { hit: 'ea=current', time: Date.now() },
+                ]));
+                collector = googleAnalytics(send, { store } as any);
+                setTimeout(() => {
+                    expect(payload()).toEqual([
+                        expect.stringMatching(/^ea=current&qt=\d+$/),
+                    ]);
+                    done();
+                }, 10);
+            });
+
+            it('recalculates existing queue time', (done) => {
+                store.get.returns(Promise.resolve([
+                    { hit: 'ea=action&qt=1&el=label', time: Date.now() - 5000 },
+                ]));
+                collector = googleAnalytics(send, { store } as any);
+                setTimeout(() => {
+                    const [item] = payload();
+                    expect(item).toMatch(/^ea=action&el=label&qt=\d{4,}$/);
+                    done();
+                }, 10);
+            });
+
+            it('adds queue time to hits without other parameters', (done) => {
+                store.get.returns(Promise.resolve([
+                    { hit: 'qt=1', time: Date.now() - 5000 },
+                ]));
+                collector = googleAnalytics(send, { store } as any);
+                setTimeout(() => {
+                    expect(payload()).toEqual([
+                        expect.stringMatching(/^qt=\d{4,}$/),
+                    ]);
+                    done();
+                }, 10);
+            });
+
+            it('includes queue time in batch size', async () => {
+                hit = 'x'.repeat(8180);
+                collector = googleAnalytics(send, { store } as any);
+                collector(event);
+                collector(event);
+                await collector.flush();
+                expect(send.callCount).toBe(2);
+                expect(send.args[0]).toMatch(/^x{8180}&qt=\d+$/);
+            });
+
+            it('drops hits exceeding 8kb with queue time', (done) => {
+                const onDrop = spy();
+                hit = 'x'.repeat(8190);
+                collector = googleAnalytics(send, { store, onDrop } as any);
+                collector(event);
+                setTimeout(() => {
+                    expect(send.called).toBe(false);
+                    expect(onDrop.args).toEqual([[hit], 'invalid']);
+                    done();
+                }, 10);
+            });
+
+            it('persists queued hits', (done) => {
+                send.invokes(() => new Promise(resolve => setTimeout(resolve, 50)));
+                collector = googleAnalytics(send, { store } as any);
+                collector(event);
+                setTimeout(() => {
+                    expect(store.set.calls.some((call: any) =>
+                        call.args[0] === 'queue' &&
+                        call.args[1].length === 1 &&
+                        call.args[1][0].hit === hit)).toBe(true);
+                    setTimeout(() => {
+                        expect(store.set.args).toEqual(['queue', []]);
+                        done();
+                    }, 60);
+                });
+            });
+
+            it('ignores storage errors', (done) => {
+                store.get.invokes(() => Promise.reject(new Error('get')));
+                store.set.invokes(() => Promise.reject(new Error('set')));
+                collector = googleAnalytics(send, { store } as any);
+                collector(event);
+                setTimeout(() => {
+                    expect(payload().length).toBe(1);
+                    done();
+                }, 10);
+            });
+
+        });
+
+    });
+
+    describe('googleAnalytics (measurement protocol)', () => {
+
+        let send: Spy,
+            options: GoogleAnalyticsOptions,
+            collector: GoogleTrackingSubscriber;
+
+        const body = (index = 0) => JSON.parse(send.calls[index].args[0]);
+
+        beforeEach(() => {
+            send = spy();
+            options = {
+                protocol: 'measurement',
+                measurementId: 'G-ABC123',
+                apiSecret: 'secret',
+                clientId: 'client',
+            };
+            collector = googleAnalytics.call(null, send, options);
+        });
+
+        afterEach(() => collector.dispose());
+
+        it('throws if measurementId not provided', () => {
+            expect(() => googleAnalytics(send, { protocol: 'measurement', apiSecret: 'secret' })).toThrow();
+        });
+
+        it('throws if apiSecret not provided', () => {
+            expect(() => googleAnalytics(send, { protocol: 'measurement', measurementId: 'G-ABC123' })).toThrow();
+        });
+
+        it('does not use global ga', (done) => {
+            (globalThis as any).ga = spy();
+            collector(event);
+            setTimeout(() => {
+                expect((globalThis as any).ga.called).toBe(false);
+                expect(send.called).toBe(true);
+                delete (globalThis as any).ga;
+                done();
+            });
+        });
+
+        it('sends expected operation', (done) => {
+            collector(event);
+            setTimeout(() => {
+                expect(send.args[1]).toEqual(expect.objectContaining({
+                    path: 'mp/collect?measurement_id=G-ABC123&api_secret=secret',
+                    method: 'POST',
+                    protocol: 'https',
+                    host: 'www.google-analytics.com',
+                    headers: {
+                        'content-type': 'application/json',
+                    },
+                }));
+                done();
+            });
+        });
+
+        it('converts event to measurement event', (done) => {
+            collector({
+                type: 'event',
+                label: 'Button Click',
+                start: 1000,
+                count: 1,
+                data: { category: 'nav', key: 'value', dimension3: 123 },
+            } as any);
+            setTimeout(() => {
+                expect(body()).toEqual({
+                    client_id: 'client',
+                    events: [{
+                        name: 'button_click',
+                        timestamp_micros: 1000000,
+                        params: {
+                            event_category: 'nav',
+                            event_label: 'Button Click',
+                            value: 1,
+                            dimension3: '123',
+                        },
+                    }],
+                });
+                done();
+            });
+        });
+
+        it('sanitizes event names', (done) => {
+            collector({ type: 'event', label: '123 $ave Now!' } as any);
+            collector({ type: 'event', label: '' } as any);
+            setTimeout(() => {
+                expect(body().events.map((e: any) => e.name)).toEqual(['ave_now', 'event']);
+                done();
+            });
+        });
+
+        it('converts timer to timing_complete', (done) => {
+            collector({ type: 'timer', label: 'load', duration: 50, data: { category: 'page', variable: 'home' } } as any);
+            setTimeout(() => {
+                expect(body().events[0]).toEqual({
+                    name: 'timing_complete',
+                    params: {
+                        name: 'load',
+                        value: 50,
+                        event_category: 'page',
+                        event_label: 'home',
+                    },
+                });
+                done();
+            });
+        });
+
+        it('converts error to exception', (done) => {
+            collector({ type: 'error', label: 'oops', data: { severity: 'FATAL' } } as any);
+            setTimeout(() => {
+                expect(body().events[0]).toEqual({
+                    name: 'exception',
+                    params: {
+                        description: 'oops',
+                        fatal: true,
+                    },
+                });
+                done();
+            });
+        });
+
+        it('includes user id', (done) => {
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, userId: () => 'user' });
+            collector(event);
+            setTimeout(() => {
+                expect(body()).toEqual(expect.objectContaining({
+                    client_id: 'client',
+                    user_id: 'user',
+                }));
+                done();
+            });
+        });
+
+        it('generates client id if not provided', (done) => {
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, clientId: undefined });
+            collector(event);
+            setTimeout(() => {
+                expect(body().client_id).toMatch(/^\d+\.\d+$/);
+                done();
+            });
+        });
+
+        it('only sends up to 130kb per request', async () => {
+            const entry = { type: 'error', label: 'x'.repeat(60 << 10) } as any;
+            [entry, entry, entry].forEach(collector);
+            await collector.flush();
+            expect(send.callCount).toBe(2);
+            expect(body(0).events.length).toBe(2);
+            expect(send.args[0].length).toBeLessThanOrEqual(130 << 10);
+        });
+
+        it('drops events larger than 130kb', async () => {
+            const onDrop = spy();
+            const large = { type: 'error', label: 'x'.repeat(140 << 10) } as any;
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, onDrop });
+            collector(large);
+            collector(event);
+            await collector.flush();
+            expect(send.callCount).toBe(1);
+            expect(body().events.length).toBe(1);
+            expect(onDrop.args[1]).toBe('invalid');
+            expect(collector.stats().queued).toBe(0);
+        });
+
+        it('only sends up to 25 events per request', async () => {
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, rateLimit: { size: 30 } });
+            Array(30).fill(event).forEach(collector);
+            await collector.flush();
+            expect(body(0).events.length).toBe(25);
+            expect(body(1).events.length).toBe(5);
+        });
+
+        it('batches events by client and user id', (done) => {
+            let userId = 'a';
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, userId: () => userId });
+            collector(event);
+            collector(event);
+            userId = 'b';
+            collector(event);
+            setTimeout(() => {
+                expect(send.callCount).toBe(2);
+                expect(body(0).user_id).toBe('a');
+                expect(body(0).events.length).toBe(2);
+                expect(body(1).user_id).toBe('b');
+                expect(body(1).events.length).toBe(1);
+                done();
+            }, 10);
+        });
+
+        it('does not send delayed or queued events after consent revoked', async () => {
+            const onDrop = spy();
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, onDrop, rateLimit: { size: 1 } });
+            collector(event);
+            collector(event);
+            collector.setConsent(false);
+            await collector.flush();
+            expect(send.called).toBe(false);
+            expect(onDrop.args).toEqual([[event, expect.objectContaining({ name: 'event' })], 'consent']);
+            expect(collector.stats()).toEqual(expect.objectContaining({ queued: 0, held: 0 }));
+        });
+
+        it('coalesces events with different timestamps', (done) => {
+            const entry = (start: number) => ({ type: 'event', label: 'click', start, data: { value: 1 } }) as any;
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, rateLimit: { size: 1, interval: 10, window: 20, overflow: 'coalesce' } });
+            [entry(1000), entry(2000), entry(3000)].forEach(collector);
+            setTimeout(() => {
+                const events = send.calls.map((call: any) => JSON.parse(call.args[0]).events)
+                    .reduce((all: any[], list: any[]) => all.concat(list), []);
+                expect(events.length).toBe(2);
+                expect(events[1].params.value).toBe(2);
+                done();
+            }, 60);
+        });
+
+        it('converts page data to page_view', (done) => {
+            collector({ type: 'event', data: { page: '/home', location: 'https://app.com/home', title: 'Home' } } as any);
+            collector({ type: 'screenview', label: 'Home' } as any);
+            setTimeout(() => {
+                expect(body().events).toEqual([{
+                    name: 'page_view',
+                    params: {
+                        page_location: 'https://app.com/home',
+                        page_title: 'Home',
+                    },
+                }, {
+                    name: 'screen_view',
+                    params: {
+                        screen_name: 'Home',
+                    },
+                }]);
+                done();
+            });
+        });
+
+        it('converts ecommerce data to items', (done) => {
+            collector({
+                type: 'event',
+                data: {
+                    currency: 'USD',
+                    transaction: { id: 'T1', revenue: 30 },
+                    products: [{ id: 'P1', name: 'Pen', price: 30, quantity: 1 }],
+                },
+            } as any);
+            collector({ type: 'event', data: { productAction: 'add', products: [{ id: 'P1' }] } } as any);
+            setTimeout(() => {
+                expect(body().events).toEqual([{
+                    name: 'purchase',
+                    params: {
+                        currency: 'USD',
+                        transaction_id: 'T1',
+                        value: 30,
+                        items: [{
+                            item_id: 'P1',
+                            item_name: 'Pen',
+                            price: 30,
+                            quantity: 1,
+                            index: 0,
+                        }],
+                    },
+                }, {
+                    name: 'add_to_cart',
+                    params: {
+                        items: [{
+                            item_id: 'P1',
+                            index: 0,
+                        }],
+                    },
+                }]);
+                done();
+            });
+        });
+
+        it('includes mapped dimensions and campaign fields as params', (done) => {
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, dimensions: { tenantId: 'dimension3' } });
+            collector({ type: 'event', label: 'login', data: { tenantId: 'abc', campaignSource: 'email' } } as any);
+            setTimeout(() => {
+                expect(body().events[0].params).toEqual(expect.objectContaining({
+                    dimension3: 'abc',
+                    source: 'email',
+                }));
+                done();
+            });
+        });
+
+        it('sends events to validation endpoint in debug mode', (done) => {
+            const onInvalidHit = spy();
+            const second = { type: 'event', label: 'second' } as any;
+            send.returns(Promise.resolve({
+                data: {
+                    validationMessages: [{
+                        fieldPath: 'events[1].params.value',
+                        description: 'Value is invalid.',
+                        validationCode: 'VALUE_INVALID',
+                    }],
+                },
+            }));
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, debug: { onInvalidHit } });
+            collector(event);
+            collector(second);
+            setTimeout(() => {
+                expect(send.callCount).toBe(1);
+                expect(send.args[1].path).toBe('debug/mp/collect?measurement_id=G-ABC123&api_secret=secret');
+                expect(onInvalidHit.callCount).toBe(1);
+                expect(onInvalidHit.args[0]).toEqual({
+                    hit: expect.objectContaining({ name: 'second' }),
+                    entry: second,
+                    messages: [{
+                        type: 'VALUE_INVALID',
+                        description: 'Value is invalid.',
+                        parameter: 'events[1].params.value',
+                    }],
+                });
+                done();
+            });
+        });
+
+        it('validates events locally in debug mode', (done) => {
+            const onInvalidHit = spy();
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, debug: { onInvalidHit, validator: 'local' } });
+            collector({ type: 'event', label: 'long', data: { label: Array(102).join('x') } } as any);
+            setTimeout(() => {
+                expect(send.args[1].path).toBe('mp/collect?measurement_id=G-ABC123&api_secret=secret');
+                expect(onInvalidHit.args[0].messages).toEqual([
+                    expect.objectContaining({
+                        type: 'VALUE_INVALID',
+                        parameter: 'params.event_label',
+                    }),
+                ]);
+                done();
+            });
+        });
+
+        it('reports messages without an event index for every event', (done) => {
+            const onInvalidHit = spy();
+            send.returns(Promise.resolve({
+                validationMessages: [{
+                    fieldPath: 'client_id',
+                    description: 'Client id is invalid.',
+                    validationCode: 'VALUE_INVALID',
+                }, {
+                    description: 'Request is invalid.',
+                    validationCode: 'VALUE_INVALID',
+                }],
+            }));
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, debug: { onInvalidHit } });
+            collector(event);
+            collector(event);
+            setTimeout(() => {
+                expect(onInvalidHit.callCount).toBe(2);
+                onInvalidHit.calls.forEach((call: any) =>
+                    expect(call.args[0].messages.map((m: any) => m.parameter)).toEqual(['client_id', undefined]));
+                done();
+            });
+        });
+
+        it('checks client id, event name and params locally', (done) => {
+            const onInvalidHit = spy();
+            const mappers = createMapperRegistry();
+            const long = Array(42).join('x');
+            const params: Record<string, string> = { [long]: 'value' };
+            Array(25).fill(0).forEach((_, i) => params[`p${i}`] = 'value');
+            mappers.register('event', () => ({ name: '1 bad', params }), 'measurement');
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, mappers, clientId: () => '', debug: { onInvalidHit, validator: 'local' } });
+            collector(event);
+            setTimeout(() => {
+                expect(onInvalidHit.args[0].messages).toEqual([
+                    expect.objectContaining({ type: 'ERROR', parameter: 'client_id' }),
+                    expect.objectContaining({ type: 'NAME_INVALID', parameter: 'name' }),
+                    expect.objectContaining({ type: 'EXCEEDED_MAX_ENTITIES', parameter: 'params' }),
+                    expect.objectContaining({ type: 'NAME_INVALID', parameter: `params.${long}` }),
+                ]);
+                done();
+            });
+        });
+
+        it('uses per-param value limits locally', (done) => {
+            const onInvalidHit = spy();
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, debug: { onInvalidHit, validator: 'local' } });
+            collector({ type: 'pageview', data: { location: `https://app.com/${'x'.repeat(900)}`, title: 'x'.repeat(250) } } as any);
+            collector({ type: 'pageview', data: { location: `https://app.com/${'x'.repeat(1000)}`, title: 'x'.repeat(301) } } as any);
+            setTimeout(() => {
+                expect(onInvalidHit.callCount).toBe(1);
+                expect(onInvalidHit.args[0].messages).toEqual([
+                    expect.objectContaining({ parameter: 'params.page_location', description: 'The parameter value exceeds 1000 characters.' }),
+                    expect.objectContaining({ parameter: 'params.page_title', description: 'The parameter value exceeds 300 characters.' }),
+                ]);
+                done();
+            });
+        });
+
+        it('does not count undefined params locally', (done) => {
+            const onInvalidHit = spy();
+            const mappers = createMapperRegistry();
+            const params: Record<string, string> = {};
+            Array(30).fill(0).forEach((_, i) => params[`p${i}`] = i < 25 ? 'value' : undefined);
+            mappers.register('event', () => ({ name: 'custom', params }), 'measurement');
+            collector.dispose();
+            collector = googleAnalytics(send, { ...options, mappers, debug: { onInvalidHit, validator: 'local' } });
+            collector(event);
+            setTimeout(() => {
+                expect(send.called).toBe(true);
+                expect(onInvalidHit.called).toBe(false);
+                done();
+            });
+        });
+
+        it('ignores invalid TrackingInfo items', (done) => {
+            collector.call(null, {});
+            collector.call(null, null);
+            collector.call(null, event);
+            setTimeout(() => {
+                expect(body().events.length).toBe(1);
+                done();
+            });
+        });
+
+    });
+
+    describe('watchNavigation', () => {
+
+        let collector: Spy,
+            pushState: Spy,
+            listeners: Record<string, Function>;
+
+        const env = globalThis as any;
+
+        beforeEach(() => {
+            listeners = {};
+            collector = spy();
+            pushState = spy();
+            env.history = { pushState };
+            env.location = {
+                origin: 'https://app.com',
+                pathname: '/users/123',
+                search: '?q=1',
+                hash: '',
+            };
+            env.document = { title: 'Users' };
+            env.addEventListener = spy().invokes((name: string, fn: Function) => listeners[name] = fn);
+            env.removeEventListener = spy().invokes((name: string) => delete listeners[name]);
+        });
+
+        afterEach(() => {
+            delete env.history;
+            delete env.location;
+            delete env.document;
+            delete env.addEventListener;
+            delete env.removeEventListener;
+        });
+
+        it('throws if collector not a function', () => {
+            expect(() => watchNavigation(null)).toThrow();
+        });
+
+        it('does nothing if history not available', () => {
+            delete env.history;
+            const stop = watchNavigation(collector);
+            expect(collector.called).toBe(false);
+            expect(stop).not.toThrow();
+        });
+
+        it('collects current page', () => {
+            watchNavigation(collector);
+            expect(collector.args[0]).toEqual(expect.objectContaining({
+                type: 'event',
+                data: {
+                    page: '/users/123?q=1',
+                    title: 'Users',
+                    location: 'https://app.com/users/123?q=1',
+                },
+            }));
+        });
+
+        it('collects page after pushState', (done) => {
+            watchNavigation(collector);
+            env.location.pathname = '/users';
+            env.history.pushState({}, '', '/users');
+            setTimeout(() => {
+                expect(pushState.called).toBe(true);
+                expect(collector.callCount).toBe(2);
+                expect(collector.args[0].data.page).toBe('/users?q=1');
+                done();
+            });
+        });
+
+        it('collects page on popstate', () => {
+            watchNavigation(collector);
+            env.location.pathname = '/';
+            listeners.popstate();
+            expect(collector.callCount).toBe(2);
+            expect(collector.args[0].data.page).toBe('/?q=1');
+        });
+
+        it('ignores navigation to same page', () => {
+            watchNavigation(collector);
+            listeners.popstate();
+            expect(collector.callCount).toBe(1);
+        });
+
+        it('strips query string and ids', () => {
+            env.location.hash = '#top';
+            env.location.pathname = '/users/123/docs/0b9e4a2c-1f6d-4c8e-9a1b-2d3c4e5f6a7b';
+            watchNavigation(collector, { stripQuery: true, stripIds: true });
+            expect(collector.args[0].data.page).toBe('/users/:id/docs/:id');
+        });
+
+        it('uses custom normalize function', () => {
+            watchNavigation(collector, { stripQuery: true, normalize: (page) => page.toUpperCase() });
+            expect(collector.args[0].data.page).toBe('/USERS/123');
+        });
+
+        it('stops watching', () => {
+            const stop = watchNavigation(collector);
+            stop();
+            expect(env.history.pushState).toBe(pushState);
+            expect(listeners.popstate).toBeUndefined();
+        });
+
     });
 
 });